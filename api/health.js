@@ -0,0 +1,17 @@
+import { getHealthReport } from "../lib/health.js";
+import { logError } from "../lib/utils.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.status(405).json({ ok: false, error: "Method Not Allowed" });
+    return;
+  }
+
+  try {
+    const report = await getHealthReport();
+    res.status(200).json({ ok: true, ...report });
+  } catch (error) {
+    logError("Failed to build health report", error);
+    res.status(500).json({ ok: false });
+  }
+}
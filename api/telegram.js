@@ -1,22 +1,37 @@
 import { z } from "zod";
 import {
   extractFirstUrl,
+  isValidLinkedInArticleUrl,
   isValidLinkedInPostUrl,
+  isValidLinkedInProfileUrl,
   logError,
-  trimForTelegram,
+  parseUrl,
+  toLinkedInProfileUrl,
 } from "../lib/utils.js";
 import {
   LinkedInExtractionError,
+  createDownloadBudget,
   downloadLinkedInMedia,
+  resolveLinkedInUrl,
+  scrapeLinkedInArticle,
   scrapeLinkedInPost,
+  scrapeLinkedInProfilePosts,
 } from "../lib/linkedin.js";
 import {
+  escapeHtml,
+  renderRichTextHtml,
   sendDocument,
   sendMediaGroup,
   sendMessage,
   sendPhoto,
+  sendPoll,
   sendVideo,
+  truncateRichText,
 } from "../lib/telegram.js";
+import { renderArticleDocument, renderArticleTelegramHtml } from "../lib/article.js";
+import { createFileCacheStore, setScrapeCacheStore } from "../lib/cache.js";
+import { getHealthReport } from "../lib/health.js";
+import { createPdfFromImages } from "../lib/pdf.js";
 import { createZipBuffer } from "../lib/zip.js";
 
 const INVALID_URL_MESSAGE =
@@ -26,7 +41,95 @@ const NO_CONTENT_MESSAGE =
 const PRIVATE_POST_MESSAGE = "قد يكون المنشور خاصًا أو يتطلب تسجيل دخول.";
 const GENERIC_ERROR_MESSAGE =
   "حدث خطأ أثناء معالجة الرابط. حاول مرة أخرى لاحقًا.";
+const MEDIA_TOO_LARGE_MESSAGE =
+  "حجم الوسائط أكبر من الحد المسموح به في تيليجرام (50 ميغابايت).";
+const OVERSIZED_MEDIA_HEADER =
+  "⚠️ لم يتم إرسال هذه الملفات لأن حجمها أكبر من المسموح به، يمكنك فتحها من الروابط:";
+const DOWNLOAD_BUDGET_HEADER =
+  "⚠️ لم يتم إرسال هذه الملفات لأن مجموع حجم الوسائط تجاوز الحد المسموح، يمكنك فتحها من الروابط:";
+const SKIPPED_MEDIA_HEADERS = {
+  MEDIA_TOO_LARGE: OVERSIZED_MEDIA_HEADER,
+  DOWNLOAD_BUDGET_EXCEEDED: DOWNLOAD_BUDGET_HEADER,
+};
+const MEDIA_TYPE_LABELS = {
+  image: "صورة",
+  video: "فيديو",
+  document: "مستند",
+};
+const DIRECT_LINK_LABEL = "رابط مباشر";
+const POST_LINK_LABEL = "فتح المنشور";
+const ERROR_MESSAGES = {
+  INVALID_URL: INVALID_URL_MESSAGE,
+  TEXT_NOT_FOUND: NO_CONTENT_MESSAGE,
+  PRIVATE_OR_PROTECTED: PRIVATE_POST_MESSAGE,
+  RATE_LIMITED: "لينكدإن يحد من الطلبات حاليًا. حاول مرة أخرى بعد قليل.",
+  NOT_FOUND: "المنشور غير موجود أو تم حذفه.",
+  TIMEOUT: "استغرق لينكدإن وقتًا طويلًا في الرد. حاول مرة أخرى لاحقًا.",
+  MEDIA_TOO_LARGE: MEDIA_TOO_LARGE_MESSAGE,
+  BLOCKED_REDIRECT: "تمت إعادة توجيه الرابط إلى موقع غير مسموح به.",
+  UPSTREAM_ERROR: "حدث خطأ من جهة لينكدإن. حاول مرة أخرى لاحقًا.",
+};
 const SUCCESS_HEADER = "تم استخراج المنشور بنجاح ✅";
+const DOCUMENT_CAPTION = "تم استخراج ملف من المنشور.";
+const INCOMPLETE_DOCUMENT_NOTICE = "⚠️ تعذر تنزيل بعض الصفحات. الصفحات المضمنة:";
+const DOCUMENT_FAILED_MESSAGE = "تعذر إنشاء ملف PDF من صفحات المستند.";
+const ARTICLE_SUCCESS_HEADER = "تم استخراج المقال بنجاح ✅";
+const ARTICLE_FILE_NOTICE = "المقال طويل، تم إرساله كملف منسق 📄";
+const ARTICLE_FILE_CAPTION = "نص المقال كاملًا.";
+const AUTHOR_PREFIX = "بواسطة";
+const RESHARED_HEADER = "🔁 المنشور الأصلي";
+const PUBLISHED_AT_PREFIX = "تاريخ النشر:";
+const COMMENTS_HEADER = "💬 التعليقات:";
+const COMMENTS_FILE_CAPTION = "تعليقات المنشور في ملف نصي.";
+const TELEGRAM_MESSAGE_LIMIT = 3900;
+const SEND_COMMENTS = process.env.SEND_COMMENTS === "true";
+const SEND_NATIVE_POLL = process.env.SEND_NATIVE_POLL === "true";
+const POLL_HEADER = "📊 استطلاع:";
+const POLL_CLOSED_LABEL = "انتهى الاستطلاع";
+const POLL_VOTES_LABEL = "صوت";
+const POLL_BAR_WIDTH = 10;
+const ATTACHMENT_LABELS = {
+  article: "🔗 رابط مرفق",
+  event: "📅 فعالية",
+  job: "💼 وظيفة",
+  document: "📄 مستند",
+};
+const ATTACHMENT_LINK_LABEL = "فتح الرابط";
+const POST_TEXT_LIMIT = 3600;
+const MIN_POST_TEXT_LIMIT = 600;
+const COMMENTS_LIMIT = Number.parseInt(process.env.COMMENTS_LIMIT || "", 10) || 20;
+const PROFILE_POSTS_LIMIT = Number.parseInt(process.env.PROFILE_POSTS_LIMIT || "", 10) || 5;
+const PROFILE_HEADER = "📋 آخر المنشورات العامة";
+const PROFILE_SUMMARY_LABEL = "المنشورات المستخرجة:";
+const NO_PROFILE_POSTS_MESSAGE = "لم أجد منشورات عامة في هذه الصفحة.";
+const PROFILE_FAILURES_HEADER = "⚠️ تعذر استخراج هذه المنشورات:";
+const PROFILE_REMAINING_HEADER = "⏱️ لم يتسع الوقت لإرسال هذه المنشورات، افتحها من الروابط:";
+// The function has 30 s (vercel.json). New post scrapes stop starting after the first
+// budget and full posts stop being sent after the second; the rest are sent as links.
+const PROFILE_SCRAPE_BUDGET_MS = 12_000;
+const PROFILE_SEND_BUDGET_MS = 22_000;
+const ADMIN_CHAT_IDS = new Set(
+  (process.env.ADMIN_CHAT_IDS || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean),
+);
+const DEBUG_COMMAND_PATTERN = /^\/debug(?:@\w+)?(?:\s|$)/i;
+const ADMIN_ONLY_MESSAGE = "هذا الأمر متاح للمشرفين فقط.";
+const DEBUG_FILE_CAPTION = "تقرير تتبع الاستخراج 🔍";
+const HEALTH_COMMAND_PATTERN = /^\/health(?:@\w+)?(?:\s|$)/i;
+const HEALTH_HEADER = "🩺 صحة المحددات";
+const HEALTH_STATUS_LABELS = {
+  ok: "✅ سليمة",
+  degraded: "⚠️ يوجد تراجع",
+};
+const HEALTH_SCRAPES_LABEL = "عمليات الاستخراج (اليوم / الإجمالي):";
+const HEALTH_NO_DATA_MESSAGE = "لا توجد بيانات كافية بعد.";
+const REFRESH_COMMAND_PATTERN = /^\/refresh(?:@\w+)?(?:\s|$)/i;
+
+if (process.env.SCRAPE_CACHE_DIR) {
+  setScrapeCacheStore(createFileCacheStore(process.env.SCRAPE_CACHE_DIR));
+}
 
 const TelegramMessageSchema = z.object({
   chat: z.object({
@@ -73,6 +176,407 @@ async function parseBody(req) {
   return JSON.parse(raw);
 }
 
+function formatAuthorLine(author) {
+  if (!author?.name) {
+    return "";
+  }
+
+  const headline = author.headline ? ` — ${author.headline}` : "";
+  return `${AUTHOR_PREFIX} ${author.name}${headline}`;
+}
+
+function formatPublishedAtLine(publishedAt) {
+  const date = publishedAt ? new Date(publishedAt) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    return "";
+  }
+
+  const formatted = date.toISOString().slice(0, 16).replace("T", " ");
+  return `${PUBLISHED_AT_PREFIX} ${formatted} UTC`;
+}
+
+function formatEngagementLine(engagement) {
+  if (!engagement) {
+    return "";
+  }
+
+  const parts = [
+    ["👍", engagement.reactions],
+    ["💬", engagement.comments],
+    ["🔁", engagement.reposts],
+  ]
+    .filter(([, count]) => typeof count === "number")
+    .map(([icon, count]) => `${icon} ${count.toLocaleString("en-US")}`);
+
+  return parts.join(" · ");
+}
+
+function formatPollBar(percentage) {
+  const filled = Math.round(((percentage || 0) / 100) * POLL_BAR_WIDTH);
+  return `${"█".repeat(filled)}${"░".repeat(POLL_BAR_WIDTH - filled)}`;
+}
+
+function formatPoll(poll) {
+  if (!poll) {
+    return "";
+  }
+
+  const lines = [`${POLL_HEADER} ${poll.question || ""}`.trim()];
+  for (const option of poll.options) {
+    const share = typeof option.percentage === "number" ? ` ${option.percentage}%` : "";
+    const votes = typeof option.votes === "number" ? ` (${option.votes.toLocaleString("en-US")})` : "";
+    lines.push(`${option.text}\n${formatPollBar(option.percentage)}${share}${votes}`);
+  }
+
+  const footer = [
+    typeof poll.totalVotes === "number"
+      ? `👥 ${poll.totalVotes.toLocaleString("en-US")} ${POLL_VOTES_LABEL}`
+      : "",
+    poll.isClosed ? POLL_CLOSED_LABEL : poll.timeRemaining || "",
+  ].filter(Boolean);
+
+  if (footer.length > 0) {
+    lines.push(footer.join(" · "));
+  }
+
+  return lines.join("\n");
+}
+
+function formatAttachmentHtml(attachment) {
+  const label = ATTACHMENT_LABELS[attachment.type] || ATTACHMENT_LABELS.article;
+  const linkText = escapeHtml(attachment.domain || ATTACHMENT_LINK_LABEL);
+  const lines = [
+    attachment.title
+      ? `${escapeHtml(label)}: <b>${escapeHtml(attachment.title)}</b>`
+      : escapeHtml(label),
+    escapeHtml(attachment.subtitle || ""),
+    escapeHtml(attachment.description || ""),
+    attachment.url
+      ? `<a href="${escapeHtml(attachment.url)}">${linkText}</a>`
+      : "",
+  ];
+
+  return lines.filter(Boolean).join("\n");
+}
+
+function formatAttachmentsHtml(attachments = []) {
+  return attachments.map((attachment) => `\n\n${formatAttachmentHtml(attachment)}`).join("");
+}
+
+function buildSuccessMessage(post) {
+  const headerLines = [
+    SUCCESS_HEADER,
+    formatAuthorLine(post.author),
+    formatPublishedAtLine(post.publishedAt),
+    formatEngagementLine(post.engagement),
+  ].filter(Boolean);
+  const header = headerLines.map(escapeHtml).join("\n");
+  const poll = post.poll ? `\n\n${escapeHtml(formatPoll(post.poll))}` : "";
+  const extras = `${poll}${formatAttachmentsHtml(post.attachments)}`;
+  const { text, entities } = truncateRichText(
+    post.text,
+    post.entities,
+    Math.max(POST_TEXT_LIMIT - extras.length, MIN_POST_TEXT_LIMIT),
+  );
+  return `${header}\n\n${renderRichTextHtml(text, entities)}${extras}`;
+}
+
+function buildResharedMessage(resharedPost) {
+  const headerLines = [
+    RESHARED_HEADER,
+    formatAuthorLine(resharedPost.author),
+    formatPublishedAtLine(resharedPost.publishedAt),
+  ].filter(Boolean);
+  const { text, entities } = truncateRichText(
+    resharedPost.text,
+    resharedPost.entities,
+    3400,
+  );
+  const header = headerLines.map(escapeHtml).join("\n");
+  const quote = text ? `\n<blockquote>${renderRichTextHtml(text, entities)}</blockquote>` : "";
+  const link = resharedPost.url
+    ? `\n<a href="${escapeHtml(resharedPost.url)}">${escapeHtml(resharedPost.url)}</a>`
+    : "";
+  return `${header}${quote}${formatAttachmentsHtml(resharedPost.attachments)}${link}`;
+}
+
+function formatComment(comment, index) {
+  const author = comment.authorName || "—";
+  const time = comment.relativeTime || comment.publishedAt?.slice(0, 10) || "";
+  const likes =
+    typeof comment.likeCount === "number" && comment.likeCount > 0
+      ? ` · 👍 ${comment.likeCount}`
+      : "";
+  const meta = [author, time].filter(Boolean).join(" · ");
+  return `${index + 1}. ${meta}${likes}\n${comment.text}`;
+}
+
+async function sendComments(token, chatId, comments) {
+  if (!Array.isArray(comments) || comments.length === 0) {
+    return;
+  }
+
+  const body = comments.map(formatComment).join("\n\n");
+  const messageText = `${COMMENTS_HEADER}\n\n${body}`;
+
+  if (messageText.length <= TELEGRAM_MESSAGE_LIMIT) {
+    await sendMessage(token, { chatId, text: messageText });
+    return;
+  }
+
+  const profileLines = comments.map((comment, index) =>
+    comment.authorProfileUrl ? `${index + 1}. ${comment.authorProfileUrl}` : "",
+  );
+  const fileText = [body, profileLines.filter(Boolean).join("\n")]
+    .filter(Boolean)
+    .join("\n\n---\n\n");
+
+  await sendDocument(token, {
+    chatId,
+    buffer: Buffer.from(fileText, "utf8"),
+    filename: "linkedin-comments.txt",
+    mimeType: "text/plain",
+    caption: COMMENTS_FILE_CAPTION,
+  });
+}
+
+function documentFilename(title) {
+  const safeTitle = String(title || "")
+    .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 80);
+  return `${safeTitle || "linkedin-document"}.pdf`;
+}
+
+function carouselCaption(totalPages, missingPages) {
+  if (missingPages === 0) {
+    return DOCUMENT_CAPTION;
+  }
+
+  const included = totalPages - missingPages;
+  return `${DOCUMENT_CAPTION}\n${INCOMPLETE_DOCUMENT_NOTICE} ${included} / ${totalPages}`;
+}
+
+async function sendDocumentCarousels(token, chatId, carousels, referer, budget) {
+  for (const carousel of carousels || []) {
+    try {
+      // Pages past the download cap, failed downloads and unsupported formats all leave
+      // holes in the PDF, so the caption says how many pages made it in.
+      let missingPages = 0;
+      const pages = await downloadLinkedInMedia(
+        carousel.pageUrls.map((url) => ({ url, type: "image" })),
+        { referer, budget },
+      );
+      missingPages += carousel.pageUrls.length - pages.length;
+      if (pages.length === 0) {
+        await safeReply(token, chatId, DOCUMENT_FAILED_MESSAGE);
+        continue;
+      }
+
+      const pdfBuffer = await createPdfFromImages(pages, {
+        title: carousel.title,
+        onSkip: () => {
+          missingPages += 1;
+        },
+      });
+      await sendDocument(token, {
+        chatId,
+        buffer: pdfBuffer,
+        filename: documentFilename(carousel.title),
+        mimeType: "application/pdf",
+        caption: carouselCaption(carousel.pageUrls.length, missingPages),
+      });
+    } catch (error) {
+      logError("Failed to rebuild document carousel", error, {
+        chatId,
+        title: carousel.title,
+      });
+      await safeReply(token, chatId, DOCUMENT_FAILED_MESSAGE);
+    }
+  }
+}
+
+// LinkedIn's CDN signs media URLs (`e`/`t` query) and may check the referer, and HLS
+// playlists don't play in a browser tab; those are linked through the post instead.
+function isDirectlyOpenableMediaUrl(url) {
+  const parsed = parseUrl(url);
+  return Boolean(
+    parsed &&
+      !parsed.pathname.toLowerCase().endsWith(".m3u8") &&
+      !parsed.searchParams.has("e") &&
+      !parsed.searchParams.has("t"),
+  );
+}
+
+function formatSkippedMediaLinks(entries, postUrl) {
+  const sections = Object.entries(SKIPPED_MEDIA_HEADERS).map(([reason, header]) => {
+    const lines = entries
+      .filter((entry) => entry.reason === reason)
+      .map((entry, index) => {
+        const label = MEDIA_TYPE_LABELS[entry.type] || MEDIA_TYPE_LABELS.document;
+        const [href, linkLabel] =
+          isDirectlyOpenableMediaUrl(entry.url) || !postUrl
+            ? [entry.url, DIRECT_LINK_LABEL]
+            : [postUrl, POST_LINK_LABEL];
+        const link = `<a href="${escapeHtml(href)}">${escapeHtml(linkLabel)}</a>`;
+        return `• ${escapeHtml(label)} ${index + 1}: ${link}`;
+      });
+
+    return lines.length > 0 ? [escapeHtml(header), ...lines].join("\n") : "";
+  });
+
+  return sections.filter(Boolean).join("\n\n");
+}
+
+async function sendSkippedMediaLinks(token, chatId, entries, postUrl) {
+  try {
+    await sendMessage(token, {
+      chatId,
+      text: formatSkippedMediaLinks(entries, postUrl),
+      parseMode: "HTML",
+    });
+  } catch (error) {
+    logError("Failed to send skipped media links", error, { chatId });
+    await safeReply(token, chatId, MEDIA_TOO_LARGE_MESSAGE);
+  }
+}
+
+async function sendPostMedia(token, chatId, post, { referer, postUrl = post.url, budget }) {
+  await sendDocumentCarousels(token, chatId, post.documentCarousels, referer, budget);
+
+  const mediaTargets = [
+    ...post.imageUrls.map((url) => ({ url, type: "image" })),
+    ...post.videoUrls.map((url) => ({ url, type: "video" })),
+    ...post.documentUrls.map((url) => ({ url, type: "document" })),
+  ];
+
+  if (mediaTargets.length === 0) {
+    return;
+  }
+
+  const skipped = [];
+  const downloadedMedia = await downloadLinkedInMedia(mediaTargets, {
+    referer,
+    budget,
+    onSkip: (entry) => {
+      if (SKIPPED_MEDIA_HEADERS[entry.reason]) {
+        skipped.push(entry);
+      }
+    },
+  });
+
+  if (skipped.length > 0) {
+    await sendSkippedMediaLinks(token, chatId, skipped, postUrl);
+  }
+
+  if (downloadedMedia.length === 0) {
+    return;
+  }
+
+  const streamableMedia = downloadedMedia.filter(
+    (item) => item.mediaType === "image" || item.mediaType === "video",
+  );
+  const documentMedia = downloadedMedia.filter(
+    (item) => item.mediaType === "document",
+  );
+
+  if (streamableMedia.length === 1) {
+    const singleFile = streamableMedia[0];
+    if (singleFile.mediaType === "video") {
+      await sendVideo(token, {
+        chatId,
+        buffer: singleFile.buffer,
+        filename: singleFile.filename || "linkedin-video.mp4",
+        mimeType: singleFile.mimeType || "video/mp4",
+      });
+    } else {
+      await sendPhoto(token, {
+        chatId,
+        buffer: singleFile.buffer,
+        filename: singleFile.filename || "linkedin-image.jpg",
+        mimeType: singleFile.mimeType || "image/jpeg",
+      });
+    }
+  } else if (streamableMedia.length > 1 && streamableMedia.length <= 10) {
+    await sendMediaGroup(token, { chatId, mediaFiles: streamableMedia });
+  } else if (streamableMedia.length > 10) {
+    const zipBuffer = await createZipBuffer(streamableMedia);
+    await sendDocument(token, {
+      chatId,
+      buffer: zipBuffer,
+      filename: "linkedin-media.zip",
+      mimeType: "application/zip",
+      caption: "تم تجميع صور/فيديوهات المنشور في ملف ZIP.",
+    });
+  }
+
+  for (const file of documentMedia) {
+    await sendDocument(token, {
+      chatId,
+      buffer: file.buffer,
+      filename: file.filename || "linkedin-document.pdf",
+      mimeType: file.mimeType || "application/pdf",
+      caption: DOCUMENT_CAPTION,
+    });
+  }
+}
+
+function buildArticleHeader(article) {
+  const lines = [
+    escapeHtml(ARTICLE_SUCCESS_HEADER),
+    article.title ? `<b>${escapeHtml(article.title)}</b>` : "",
+    article.subtitle ? `<i>${escapeHtml(article.subtitle)}</i>` : "",
+    escapeHtml(formatAuthorLine(article.author)),
+    escapeHtml(formatPublishedAtLine(article.publishedAt)),
+  ];
+
+  return lines.filter(Boolean).join("\n");
+}
+
+async function sendArticle(token, chatId, article, budget) {
+  if (article.coverImageUrl) {
+    const [cover] = await downloadLinkedInMedia(
+      [{ url: article.coverImageUrl, type: "image" }],
+      { referer: article.preferredReferer, budget },
+    );
+    if (cover?.mediaType === "image") {
+      await sendPhoto(token, {
+        chatId,
+        buffer: cover.buffer,
+        filename: cover.filename,
+        mimeType: cover.mimeType || "image/jpeg",
+      });
+    }
+  }
+
+  const header = buildArticleHeader(article);
+  const fitsInMessage =
+    header.length + article.text.length <= TELEGRAM_MESSAGE_LIMIT - 300;
+
+  if (fitsInMessage) {
+    await sendMessage(token, {
+      chatId,
+      text: `${header}\n\n${renderArticleTelegramHtml(article.sections)}`,
+      parseMode: "HTML",
+    });
+    return;
+  }
+
+  await sendMessage(token, {
+    chatId,
+    text: `${header}\n\n${escapeHtml(ARTICLE_FILE_NOTICE)}`,
+    parseMode: "HTML",
+  });
+  await sendDocument(token, {
+    chatId,
+    buffer: renderArticleDocument(article),
+    filename: "linkedin-article.html",
+    mimeType: "text/html",
+    caption: ARTICLE_FILE_CAPTION,
+  });
+}
+
 async function safeReply(token, chatId, text) {
   try {
     await sendMessage(token, { chatId, text });
@@ -81,25 +585,196 @@ async function safeReply(token, chatId, text) {
   }
 }
 
-async function sendErrorByType(token, chatId, error) {
-  if (error instanceof LinkedInExtractionError) {
-    if (error.code === "INVALID_URL") {
-      await safeReply(token, chatId, INVALID_URL_MESSAGE);
-      return;
+function isAdminChat(chatId) {
+  return ADMIN_CHAT_IDS.has(String(chatId));
+}
+
+async function sendDebugReport(token, chatId, text) {
+  if (!isAdminChat(chatId)) {
+    await safeReply(token, chatId, ADMIN_ONLY_MESSAGE);
+    return;
+  }
+
+  const maybeUrl = extractFirstUrl(text);
+  const resolved = maybeUrl ? await resolveLinkedInUrl(maybeUrl) : null;
+  if (!resolved || !isValidLinkedInPostUrl(resolved.url)) {
+    await safeReply(token, chatId, INVALID_URL_MESSAGE);
+    return;
+  }
+
+  const report = { input: maybeUrl, resolvedUrl: resolved.url, ok: true, error: null };
+  try {
+    const { trace, ...post } = await scrapeLinkedInPost(resolved.url, {
+      debug: true,
+      maxComments: COMMENTS_LIMIT,
+    });
+    Object.assign(report, { post, trace });
+  } catch (error) {
+    Object.assign(report, {
+      ok: false,
+      error: { code: error.code || null, message: error.message },
+      trace: error.trace || null,
+    });
+  }
+
+  await sendDocument(token, {
+    chatId,
+    buffer: Buffer.from(JSON.stringify(report, null, 2), "utf8"),
+    filename: `linkedin-debug-${resolved.urn?.split(":").pop() || Date.now()}.json`,
+    caption: DEBUG_FILE_CAPTION,
+    mimeType: "application/json",
+  });
+}
+
+function formatHitRate(value) {
+  return typeof value === "number" ? `${Math.round(value * 100)}%` : "—";
+}
+
+function buildHealthMessage(report) {
+  if (report.scrapes.total === 0) {
+    return `${HEALTH_HEADER}\n${HEALTH_NO_DATA_MESSAGE}`;
+  }
+
+  const groups = Object.entries(report.selectors).map(
+    ([group, stats]) =>
+      `• ${group}: ${formatHitRate(stats.recentHitRate)} / ${formatHitRate(stats.hitRate)}`,
+  );
+  const flags = report.flags.map((flag) => `⚠️ ${flag.message}`);
+
+  return [
+    HEALTH_HEADER,
+    HEALTH_STATUS_LABELS[report.status] || report.status,
+    `${HEALTH_SCRAPES_LABEL} ${report.scrapes.today} / ${report.scrapes.total}`,
+    "",
+    ...groups,
+    ...(flags.length > 0 ? ["", ...flags] : []),
+  ].join("\n");
+}
+
+async function sendHealthReport(token, chatId) {
+  if (!isAdminChat(chatId)) {
+    await safeReply(token, chatId, ADMIN_ONLY_MESSAGE);
+    return;
+  }
+
+  const report = await getHealthReport();
+  await sendMessage(token, { chatId, text: buildHealthMessage(report) });
+}
+
+async function sendPost(token, chatId, post, budget) {
+  await sendMessage(token, {
+    chatId,
+    text: buildSuccessMessage(post),
+    parseMode: "HTML",
+  });
+
+  if (SEND_NATIVE_POLL && post.poll && !post.poll.isClosed) {
+    try {
+      await sendPoll(token, {
+        chatId,
+        question: post.poll.question || post.text,
+        options: post.poll.options.map((option) => option.text),
+      });
+    } catch (error) {
+      // The poll is already rendered in the success message; keep delivering the rest.
+      logError("Failed to send native poll", error, { chatId });
     }
+  }
 
-    if (error.code === "TEXT_NOT_FOUND") {
-      await safeReply(token, chatId, NO_CONTENT_MESSAGE);
-      return;
+  await sendPostMedia(token, chatId, post, { referer: post.preferredReferer, budget });
+
+  if (post.resharedPost) {
+    await sendMessage(token, {
+      chatId,
+      text: buildResharedMessage(post.resharedPost),
+      parseMode: "HTML",
+    });
+    await sendPostMedia(token, chatId, post.resharedPost, {
+      referer: post.resharedPost.preferredReferer || post.preferredReferer,
+      postUrl: post.resharedPost.url || post.url,
+      budget,
+    });
+  }
+
+  if (SEND_COMMENTS) {
+    await sendComments(token, chatId, post.comments);
+  }
+}
+
+function buildProfileHeader(result) {
+  const { profile, posts } = result;
+  const succeeded = posts.filter((entry) => entry.status === "ok").length;
+  const lines = [
+    `${escapeHtml(PROFILE_HEADER)}: <b>${escapeHtml(profile.name || result.url)}</b>`,
+    escapeHtml(profile.headline || ""),
+    `<a href="${escapeHtml(result.url)}">${escapeHtml(result.url)}</a>`,
+    escapeHtml(`${PROFILE_SUMMARY_LABEL} ${succeeded} / ${posts.length}`),
+  ];
+
+  return lines.filter(Boolean).join("\n");
+}
+
+async function sendProfilePosts(token, chatId, profileUrl, budget, refresh = false) {
+  const startedAt = Date.now();
+  const result = await scrapeLinkedInProfilePosts(profileUrl, {
+    limit: PROFILE_POSTS_LIMIT,
+    maxComments: 0,
+    refresh,
+    deadline: startedAt + PROFILE_SCRAPE_BUDGET_MS,
+  });
+
+  if (result.posts.length === 0) {
+    await safeReply(token, chatId, NO_PROFILE_POSTS_MESSAGE);
+    return;
+  }
+
+  await sendMessage(token, {
+    chatId,
+    text: buildProfileHeader(result),
+    parseMode: "HTML",
+  });
+
+  const failed = result.posts.filter((entry) => entry.status === "error");
+  const remaining = [];
+  for (const entry of result.posts) {
+    if (entry.status === "error") {
+      continue;
     }
 
-    if (error.code === "PRIVATE_OR_PROTECTED") {
-      await safeReply(token, chatId, PRIVATE_POST_MESSAGE);
-      return;
+    if (entry.status === "skipped" || Date.now() >= startedAt + PROFILE_SEND_BUDGET_MS) {
+      remaining.push(entry);
+      continue;
+    }
+
+    try {
+      await sendPost(token, chatId, entry.post, budget);
+    } catch (error) {
+      logError("Failed to send profile post", error, { url: entry.url });
+      failed.push(entry);
     }
   }
 
-  await safeReply(token, chatId, GENERIC_ERROR_MESSAGE);
+  if (remaining.length > 0) {
+    await safeReply(
+      token,
+      chatId,
+      [PROFILE_REMAINING_HEADER, ...remaining.map((entry) => entry.url)].join("\n"),
+    );
+  }
+
+  if (failed.length > 0) {
+    await safeReply(
+      token,
+      chatId,
+      [PROFILE_FAILURES_HEADER, ...failed.map((entry) => entry.url)].join("\n"),
+    );
+  }
+}
+
+async function sendErrorByType(token, chatId, error) {
+  const message =
+    error instanceof LinkedInExtractionError ? ERROR_MESSAGES[error.code] : null;
+  await safeReply(token, chatId, message || GENERIC_ERROR_MESSAGE);
 }
 
 export default async function handler(req, res) {
@@ -140,86 +815,48 @@ export default async function handler(req, res) {
       return;
     }
 
-    const maybeUrl = extractFirstUrl(text);
-    if (!maybeUrl || !isValidLinkedInPostUrl(maybeUrl)) {
-      await safeReply(token, chatId, INVALID_URL_MESSAGE);
+    if (DEBUG_COMMAND_PATTERN.test(text)) {
+      await sendDebugReport(token, chatId, text);
       res.status(200).json({ ok: true });
       return;
     }
 
-    const post = await scrapeLinkedInPost(maybeUrl);
-    const safeText = trimForTelegram(post.text, 3600);
-    await sendMessage(token, {
-      chatId,
-      text: `${SUCCESS_HEADER}\n\n${safeText}`,
-    });
-
-    const mediaTargets = [
-      ...post.imageUrls.map((url) => ({ url, type: "image" })),
-      ...post.videoUrls.map((url) => ({ url, type: "video" })),
-      ...post.documentUrls.map((url) => ({ url, type: "document" })),
-    ];
-
-    if (mediaTargets.length === 0) {
+    if (HEALTH_COMMAND_PATTERN.test(text)) {
+      await sendHealthReport(token, chatId);
       res.status(200).json({ ok: true });
       return;
     }
 
-    const downloadedMedia = await downloadLinkedInMedia(mediaTargets, {
-      referer: post.preferredReferer,
-    });
-    if (downloadedMedia.length === 0) {
+    const refresh = REFRESH_COMMAND_PATTERN.test(text);
+    // Every download for this update, from carousels to reshares, draws on one budget.
+    const budget = createDownloadBudget();
+    const maybeUrl = extractFirstUrl(text);
+    const resolved = maybeUrl ? await resolveLinkedInUrl(maybeUrl) : null;
+    if (resolved && isValidLinkedInArticleUrl(resolved.url)) {
+      const article = await scrapeLinkedInArticle(resolved.url);
+      await sendArticle(token, chatId, article, budget);
       res.status(200).json({ ok: true });
       return;
     }
 
-    const streamableMedia = downloadedMedia.filter(
-      (item) => item.mediaType === "image" || item.mediaType === "video",
-    );
-    const documentMedia = downloadedMedia.filter(
-      (item) => item.mediaType === "document",
-    );
-
-    if (streamableMedia.length === 1) {
-      const singleFile = streamableMedia[0];
-      if (singleFile.mediaType === "video") {
-        await sendVideo(token, {
-          chatId,
-          buffer: singleFile.buffer,
-          filename: singleFile.filename || "linkedin-video.mp4",
-          mimeType: singleFile.mimeType || "video/mp4",
-        });
-      } else {
-        await sendPhoto(token, {
-          chatId,
-          buffer: singleFile.buffer,
-          filename: singleFile.filename || "linkedin-image.jpg",
-          mimeType: singleFile.mimeType || "image/jpeg",
-        });
-      }
-    } else if (streamableMedia.length > 1 && streamableMedia.length <= 10) {
-      await sendMediaGroup(token, { chatId, mediaFiles: streamableMedia });
-    } else if (streamableMedia.length > 10) {
-      const zipBuffer = await createZipBuffer(streamableMedia);
-      await sendDocument(token, {
-        chatId,
-        buffer: zipBuffer,
-        filename: "linkedin-media.zip",
-        mimeType: "application/zip",
-        caption: "تم تجميع صور/فيديوهات المنشور في ملف ZIP.",
-      });
+    if (resolved && isValidLinkedInProfileUrl(resolved.url)) {
+      await sendProfilePosts(token, chatId, toLinkedInProfileUrl(resolved.url), budget, refresh);
+      res.status(200).json({ ok: true });
+      return;
     }
 
-    for (const file of documentMedia) {
-      await sendDocument(token, {
-        chatId,
-        buffer: file.buffer,
-        filename: file.filename || "linkedin-document.pdf",
-        mimeType: file.mimeType || "application/pdf",
-        caption: "تم استخراج ملف من المنشور.",
-      });
+    if (!resolved || !isValidLinkedInPostUrl(resolved.url)) {
+      await safeReply(token, chatId, INVALID_URL_MESSAGE);
+      res.status(200).json({ ok: true });
+      return;
     }
 
+    const post = await scrapeLinkedInPost(resolved.url, {
+      maxComments: SEND_COMMENTS ? COMMENTS_LIMIT : 0,
+      refresh,
+    });
+    await sendPost(token, chatId, post, budget);
+
     res.status(200).json({ ok: true });
   } catch (error) {
     logError("Failed to process Telegram update", error, { chatId });
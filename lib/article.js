@@ -0,0 +1,91 @@
+import { escapeHtml } from "./telegram.js";
+
+const DOCUMENT_STYLES = [
+  "body{font-family:system-ui,sans-serif;max-width:760px;margin:2rem auto;padding:0 1rem;line-height:1.6;color:#1d1d1d}",
+  "img{max-width:100%;height:auto}",
+  "figcaption,.meta{color:#666;font-size:.9rem}",
+  "blockquote{border-inline-start:4px solid #ccc;margin:1rem 0;padding:.25rem 1rem;color:#444}",
+].join("");
+
+function renderListItems(section) {
+  return section.items.map((item, index) => {
+    const marker = section.ordered ? `${index + 1}.` : "•";
+    return `${marker} ${escapeHtml(item)}`;
+  });
+}
+
+export function renderArticleTelegramHtml(sections) {
+  return sections
+    .map((section) => {
+      switch (section.type) {
+        case "heading":
+          return `<b>${escapeHtml(section.text)}</b>`;
+        case "list":
+          return renderListItems(section).join("\n");
+        case "quote":
+          return `<blockquote>${escapeHtml(section.text)}</blockquote>`;
+        case "paragraph":
+          return escapeHtml(section.text);
+        default:
+          return "";
+      }
+    })
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+function renderDocumentSection(section) {
+  switch (section.type) {
+    case "heading": {
+      // The article title owns <h1>, so body headings start at <h2>.
+      const level = Math.max(section.level, 2);
+      return `<h${level}>${escapeHtml(section.text)}</h${level}>`;
+    }
+    case "list": {
+      const tag = section.ordered ? "ol" : "ul";
+      const items = section.items.map((item) => `<li>${escapeHtml(item)}</li>`).join("");
+      return `<${tag}>${items}</${tag}>`;
+    }
+    case "quote":
+      return `<blockquote>${escapeHtml(section.text).replace(/\n/g, "<br>")}</blockquote>`;
+    case "image": {
+      const caption = section.caption
+        ? `<figcaption>${escapeHtml(section.caption)}</figcaption>`
+        : "";
+      return `<figure><img src="${escapeHtml(section.url)}" alt="">${caption}</figure>`;
+    }
+    default:
+      return `<p>${escapeHtml(section.text).replace(/\n/g, "<br>")}</p>`;
+  }
+}
+
+export function renderArticleDocument(article) {
+  const meta = [article.author?.name, article.publishedAt?.slice(0, 10)]
+    .filter(Boolean)
+    .map(escapeHtml)
+    .join(" · ");
+  const parts = [
+    `<h1>${escapeHtml(article.title || "LinkedIn article")}</h1>`,
+    article.subtitle ? `<p><em>${escapeHtml(article.subtitle)}</em></p>` : "",
+    meta ? `<p class="meta">${meta}</p>` : "",
+    article.coverImageUrl
+      ? `<figure><img src="${escapeHtml(article.coverImageUrl)}" alt=""></figure>`
+      : "",
+    ...article.sections.map(renderDocumentSection),
+    article.url
+      ? `<p class="meta"><a href="${escapeHtml(article.url)}">${escapeHtml(article.url)}</a></p>`
+      : "",
+  ];
+
+  const html = [
+    "<!doctype html>",
+    '<html dir="auto"><head><meta charset="utf-8">',
+    `<title>${escapeHtml(article.title || "LinkedIn article")}</title>`,
+    `<style>${DOCUMENT_STYLES}</style>`,
+    "</head><body>",
+    ...parts.filter(Boolean),
+    "</body></html>",
+  ].join("\n");
+
+  return Buffer.from(html, "utf8");
+}
@@ -0,0 +1,230 @@
+import { createHash } from "node:crypto";
+import { mkdir, readFile, rm, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { LinkedInExtractionError } from "./errors.js";
+import { logError } from "./utils.js";
+
+const DEFAULT_FRESH_TTL_MS = readSeconds(process.env.SCRAPE_CACHE_TTL_SECONDS, 600);
+const DEFAULT_STALE_TTL_MS = readSeconds(process.env.SCRAPE_CACHE_STALE_SECONDS, 3_600);
+const DEFAULT_NEGATIVE_TTL_MS = readSeconds(process.env.SCRAPE_CACHE_NEGATIVE_SECONDS, 300);
+const DEFAULT_MEMORY_ENTRIES = 200;
+// Errors that will not change on a retry a few minutes later.
+const NEGATIVE_CACHE_ERROR_CODES = new Set(["PRIVATE_OR_PROTECTED", "NOT_FOUND"]);
+
+function readSeconds(value, fallback) {
+  const seconds = Number.parseInt(value || "", 10);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : fallback) * 1000;
+}
+
+// Every store exposes async `get(key)`, `set(key, entry, ttlMs)` and `delete(key)`.
+// Entries are plain JSON-serializable objects; `ttlMs` is when the store may evict them.
+export function createMemoryCacheStore(options = {}) {
+  const { maxEntries = DEFAULT_MEMORY_ENTRIES } = options;
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const item = entries.get(key);
+      if (!item) {
+        return null;
+      }
+
+      if (item.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+
+      return structuredClone(item.entry);
+    },
+    async set(key, entry, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { entry: structuredClone(entry), expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+// One JSON file per key. On Vercel only /tmp is writable, and it is per-instance.
+export function createFileCacheStore(directory) {
+  const pathFor = (key) =>
+    join(directory, `${createHash("sha256").update(key).digest("hex")}.json`);
+
+  return {
+    async get(key) {
+      let item;
+      try {
+        item = JSON.parse(await readFile(pathFor(key), "utf8"));
+      } catch (error) {
+        if (error?.code !== "ENOENT") {
+          logError("Failed to read scrape cache file", error, { key });
+        }
+        return null;
+      }
+
+      if (item.expiresAt <= Date.now()) {
+        await rm(pathFor(key), { force: true });
+        return null;
+      }
+
+      return item.entry;
+    },
+    async set(key, entry, ttlMs) {
+      await mkdir(directory, { recursive: true });
+      await writeFile(pathFor(key), JSON.stringify({ entry, expiresAt: Date.now() + ttlMs }));
+    },
+    async delete(key) {
+      await rm(pathFor(key), { force: true });
+    },
+  };
+}
+
+// Adapts a Redis-compatible client (`get`, `set(key, value, "PX", ms)`, `del`), such as
+// ioredis or an Upstash REST client, to the store interface.
+export function createRedisCacheStore(client, options = {}) {
+  const { prefix = "linkedin-scrape:" } = options;
+
+  return {
+    async get(key) {
+      const raw = await client.get(`${prefix}${key}`);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async set(key, entry, ttlMs) {
+      await client.set(`${prefix}${key}`, JSON.stringify(entry), "PX", Math.max(ttlMs, 1));
+    },
+    async delete(key) {
+      await client.del(`${prefix}${key}`);
+    },
+  };
+}
+
+let cacheStore = createMemoryCacheStore();
+let cacheOptions = {
+  freshTtlMs: DEFAULT_FRESH_TTL_MS,
+  staleTtlMs: DEFAULT_STALE_TTL_MS,
+  negativeTtlMs: DEFAULT_NEGATIVE_TTL_MS,
+};
+const revalidating = new Set();
+
+// Passing null restores the in-memory store; `null` options keep the current TTLs.
+export function setScrapeCacheStore(store, options = null) {
+  cacheStore = store || createMemoryCacheStore();
+  if (options) {
+    cacheOptions = { ...cacheOptions, ...options };
+  }
+}
+
+async function readEntry(key) {
+  try {
+    return await cacheStore.get(key);
+  } catch (error) {
+    logError("Failed to read scrape cache", error, { key });
+    return null;
+  }
+}
+
+async function writeEntry(key, entry, ttlMs) {
+  try {
+    await cacheStore.set(key, entry, ttlMs);
+  } catch (error) {
+    logError("Failed to write scrape cache", error, { key });
+  }
+}
+
+async function loadAndStore(key, loader) {
+  const { freshTtlMs, staleTtlMs, negativeTtlMs } = cacheOptions;
+  const now = Date.now();
+
+  try {
+    const value = await loader();
+    await writeEntry(
+      key,
+      { value, storedAt: now, freshUntil: now + freshTtlMs, error: null },
+      freshTtlMs + staleTtlMs,
+    );
+    return value;
+  } catch (error) {
+    if (NEGATIVE_CACHE_ERROR_CODES.has(error?.code) && negativeTtlMs > 0) {
+      await writeEntry(
+        key,
+        {
+          value: null,
+          storedAt: now,
+          freshUntil: now + negativeTtlMs,
+          error: { code: error.code, message: error.message },
+        },
+        negativeTtlMs,
+      );
+    }
+
+    throw error;
+  }
+}
+
+// Only used with `waitUntil`, which keeps the serverless instance alive after the
+// response until the refresh settles.
+function revalidateInBackground(key, loader, waitUntil) {
+  if (revalidating.has(key)) {
+    return;
+  }
+
+  revalidating.add(key);
+  const refresh = Promise.resolve()
+    .then(() => loadAndStore(key, loader))
+    .catch((error) => {
+      logError("Background scrape revalidation failed", error, { key });
+    })
+    .finally(() => {
+      revalidating.delete(key);
+    });
+  waitUntil(refresh);
+}
+
+// Without `waitUntil` the instance may be frozen once the response is sent, so the
+// refresh runs before answering. Transient failures fall back to the stale value.
+async function revalidateInline(key, loader, entry) {
+  try {
+    return await loadAndStore(key, loader);
+  } catch (error) {
+    if (NEGATIVE_CACHE_ERROR_CODES.has(error?.code)) {
+      throw error;
+    }
+
+    logError("Scrape revalidation failed, serving stale value", error, { key });
+    return entry.value;
+  }
+}
+
+/**
+ * Serves `key` from the cache when fresh, refreshes stale values, and remembers
+ * private/missing posts for a short while. `refresh` skips the read but still stores the
+ * new result. Given `waitUntil`, stale values are served at once and refreshed after the
+ * response; otherwise they are refreshed inline.
+ */
+export async function cachedScrape(key, loader, options = {}) {
+  const { refresh = false, waitUntil = null } = options;
+  const entry = refresh ? null : await readEntry(key);
+
+  if (entry?.error) {
+    throw new LinkedInExtractionError(entry.error.code, entry.error.message);
+  }
+
+  if (!entry) {
+    return loadAndStore(key, loader);
+  }
+
+  if (entry.freshUntil > Date.now()) {
+    return entry.value;
+  }
+
+  if (waitUntil) {
+    revalidateInBackground(key, loader, waitUntil);
+    return entry.value;
+  }
+
+  return revalidateInline(key, loader, entry);
+}
@@ -0,0 +1,65 @@
+// Error codes surfaced to callers, and whether retrying the same request can help.
+const RETRYABLE_ERROR_CODES = {
+  INVALID_URL: false,
+  TEXT_NOT_FOUND: false,
+  PRIVATE_OR_PROTECTED: false,
+  NOT_FOUND: false,
+  MEDIA_TOO_LARGE: false,
+  DOWNLOAD_BUDGET_EXCEEDED: false,
+  BLOCKED_REDIRECT: false,
+  RATE_LIMITED: true,
+  TIMEOUT: true,
+  UPSTREAM_ERROR: true,
+  SCRAPE_FAILED: true,
+};
+
+export class LinkedInExtractionError extends Error {
+  constructor(code, message, options = {}) {
+    super(message);
+    this.name = "LinkedInExtractionError";
+    this.code = code;
+    this.retryable = isRetryableErrorCode(code);
+    this.retryAfterMs = options.retryAfterMs ?? null;
+  }
+}
+
+export function isRetryableErrorCode(code) {
+  return RETRYABLE_ERROR_CODES[code] ?? true;
+}
+
+// Retry-After is either a number of seconds or an HTTP date.
+export function parseRetryAfter(value, now = Date.now()) {
+  const raw = String(value || "").trim();
+  if (!raw) {
+    return null;
+  }
+
+  if (/^\d+$/.test(raw)) {
+    return Number(raw) * 1000;
+  }
+
+  const date = Date.parse(raw);
+  return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+export function errorFromResponse(response, message) {
+  const { status } = response;
+  const detail = `${message} (${status})`;
+
+  if (status === 401 || status === 403) {
+    return new LinkedInExtractionError("PRIVATE_OR_PROTECTED", detail);
+  }
+
+  // LinkedIn answers throttled and bot-flagged requests with 999 instead of 429.
+  if (status === 429 || status === 999) {
+    return new LinkedInExtractionError("RATE_LIMITED", detail, {
+      retryAfterMs: parseRetryAfter(response.headers.get("retry-after")),
+    });
+  }
+
+  if (status === 404 || status === 410) {
+    return new LinkedInExtractionError("NOT_FOUND", detail);
+  }
+
+  return new LinkedInExtractionError("UPSTREAM_ERROR", detail);
+}
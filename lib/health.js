@@ -0,0 +1,378 @@
+import { appendFile, mkdir, readdir, readFile, rm } from "node:fs/promises";
+import { join } from "node:path";
+import { logError } from "./utils.js";
+
+const HEALTH_RETENTION_DAYS = 14;
+const MIN_RECENT_SAMPLES = 5;
+const DROPPED_SELECTOR_MIN_HIT_RATE = 0.2;
+
+// Which strategy values count as the primary path, per field. Anything else that
+// still produced a value is a fallback.
+const PRIMARY_STRATEGIES = {
+  text: ["schema", "dom"],
+  images: ["primary"],
+};
+
+const HEALTH_STORE_TIMEOUT_MS = 3_000;
+
+// Stores keep per-day counters. `increment(day, keys)` adds one to each counter in `keys`
+// without reading first, so concurrent scrapes never overwrite each other, and
+// `read(days)` returns `{ [day]: { [key]: count } }` for the listed days. Stores may drop
+// days older than the oldest one asked for.
+export function createMemoryHealthStore() {
+  const days = new Map();
+
+  return {
+    async increment(day, keys) {
+      const counts = days.get(day) || {};
+      for (const key of keys) {
+        increment(counts, key);
+      }
+      days.set(day, counts);
+    },
+    async read(dayKeys) {
+      for (const day of days.keys()) {
+        if (day < dayKeys[0]) {
+          days.delete(day);
+        }
+      }
+
+      return Object.fromEntries(
+        dayKeys.filter((day) => days.has(day)).map((day) => [day, { ...days.get(day) }]),
+      );
+    },
+  };
+}
+
+// One line per sample, appended to a file per day. Appends of a single short line are
+// atomic on a local disk, so processes sharing the directory never lose a sample.
+export function createFileHealthStore(directory) {
+  const pathFor = (day) => join(directory, `${day}.jsonl`);
+
+  return {
+    async increment(day, keys) {
+      await mkdir(directory, { recursive: true });
+      await appendFile(pathFor(day), `${JSON.stringify(keys)}\n`);
+    },
+    async read(dayKeys) {
+      const files = await readdir(directory).catch(() => []);
+      await Promise.all(
+        files
+          .filter((file) => file.endsWith(".jsonl") && file.slice(0, -6) < dayKeys[0])
+          .map((file) => rm(join(directory, file), { force: true })),
+      );
+
+      const data = {};
+      for (const day of dayKeys) {
+        if (!files.includes(`${day}.jsonl`)) {
+          continue;
+        }
+
+        const counts = {};
+        const lines = (await readFile(pathFor(day), "utf8")).split("\n").filter(Boolean);
+        for (const line of lines) {
+          for (const key of JSON.parse(line)) {
+            increment(counts, key);
+          }
+        }
+        data[day] = counts;
+      }
+
+      return data;
+    },
+  };
+}
+
+// Upstash Redis over its REST API, so every function instance shares the same counters
+// without a client library. HINCRBY is atomic, and each day's hash expires on its own.
+export function createUpstashHealthStore(options) {
+  const { url, token, prefix = "linkedin-health:" } = options;
+  const ttlSeconds = (HEALTH_RETENTION_DAYS + 1) * 86_400;
+
+  async function pipeline(commands) {
+    const response = await fetch(`${url.replace(/\/+$/, "")}/pipeline`, {
+      method: "POST",
+      headers: { authorization: `Bearer ${token}`, "content-type": "application/json" },
+      body: JSON.stringify(commands),
+      signal: AbortSignal.timeout(HEALTH_STORE_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`Upstash request failed (${response.status})`);
+    }
+
+    const results = await response.json();
+    const failed = results.find((entry) => entry.error);
+    if (failed) {
+      throw new Error(`Upstash command failed: ${failed.error}`);
+    }
+
+    return results.map((entry) => entry.result);
+  }
+
+  return {
+    async increment(day, keys) {
+      const key = `${prefix}${day}`;
+      await pipeline([
+        ...keys.map((field) => ["HINCRBY", key, field, "1"]),
+        ["EXPIRE", key, String(ttlSeconds)],
+      ]);
+    },
+    async read(dayKeys) {
+      const results = await pipeline(dayKeys.map((day) => ["HGETALL", `${prefix}${day}`]));
+      const data = {};
+      dayKeys.forEach((day, index) => {
+        // HGETALL answers with a flat [field, value, field, value, ...] list.
+        const flat = results[index] || [];
+        if (flat.length === 0) {
+          return;
+        }
+
+        data[day] = {};
+        for (let position = 0; position < flat.length; position += 2) {
+          data[day][flat[position]] = Number(flat[position + 1]);
+        }
+      });
+
+      return data;
+    },
+  };
+}
+
+// UPSTASH_REDIS_REST_URL/TOKEN give every function the same counters; HEALTH_STORE_DIR
+// only shares them between invocations on one instance. The in-memory default lives as
+// long as the instance and is not shared with /api/health.
+function createDefaultHealthStore() {
+  const { UPSTASH_REDIS_REST_URL: url, UPSTASH_REDIS_REST_TOKEN: token } = process.env;
+  if (url && token) {
+    return createUpstashHealthStore({ url, token });
+  }
+
+  if (process.env.HEALTH_STORE_DIR) {
+    return createFileHealthStore(process.env.HEALTH_STORE_DIR);
+  }
+
+  return createMemoryHealthStore();
+}
+
+let healthStore = createDefaultHealthStore();
+
+// Passing null restores the store configured by the environment.
+export function setHealthStore(store) {
+  healthStore = store || createDefaultHealthStore();
+}
+
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function windowDays(now) {
+  return Array.from({ length: HEALTH_RETENTION_DAYS }, (_, index) =>
+    dayKey(new Date(now.getTime() - (HEALTH_RETENTION_DAYS - 1 - index) * 86_400_000)),
+  );
+}
+
+function increment(target, key, amount = 1) {
+  target[key] = (target[key] || 0) + amount;
+}
+
+function createBucket() {
+  return { scrapes: 0, sources: {}, selectors: {}, schema: {}, strategies: {} };
+}
+
+// Counter keys are JSON paths into a day bucket, e.g. ["selectors","text","hits",".x"].
+function sampleKeys(sample) {
+  const paths = [["scrapes"], ["sources", sample.source || "page"]];
+
+  for (const [group, matched] of Object.entries(sample.selectors || {})) {
+    paths.push(["selectors", group, "scrapes"]);
+    if (matched.length > 0) {
+      paths.push(["selectors", group, "anyHits"]);
+    }
+    for (const selector of matched) {
+      paths.push(["selectors", group, "hits", selector]);
+    }
+  }
+
+  paths.push(["schema", "__scrapes"]);
+  for (const path of sample.schemaPaths || []) {
+    paths.push(["schema", path]);
+  }
+
+  for (const [field, strategy] of Object.entries(sample.strategies || {})) {
+    paths.push(["strategies", field, strategy || "none"]);
+  }
+
+  return paths.map((path) => JSON.stringify(path));
+}
+
+function bucketFromCounts(counts) {
+  const bucket = createBucket();
+
+  for (const [key, count] of Object.entries(counts)) {
+    const path = JSON.parse(key);
+    const leaf = path.pop();
+    let target = bucket;
+    for (const [depth, part] of path.entries()) {
+      target[part] ??=
+        depth === 1 && path[0] === "selectors" ? { scrapes: 0, anyHits: 0, hits: {} } : {};
+      target = target[part];
+    }
+    increment(target, leaf, count);
+  }
+
+  return bucket;
+}
+
+export async function recordScrapeHealth(sample, now = new Date()) {
+  try {
+    await healthStore.increment(dayKey(now), sampleKeys(sample));
+  } catch (error) {
+    logError("Failed to record scrape health", error);
+  }
+}
+
+function mergeBuckets(buckets) {
+  const merged = createBucket();
+
+  for (const bucket of buckets) {
+    merged.scrapes += bucket.scrapes;
+    for (const [source, count] of Object.entries(bucket.sources)) {
+      increment(merged.sources, source, count);
+    }
+
+    for (const [group, groupBucket] of Object.entries(bucket.selectors)) {
+      merged.selectors[group] ??= { scrapes: 0, anyHits: 0, hits: {} };
+      merged.selectors[group].scrapes += groupBucket.scrapes;
+      merged.selectors[group].anyHits += groupBucket.anyHits;
+      for (const [selector, hits] of Object.entries(groupBucket.hits)) {
+        increment(merged.selectors[group].hits, selector, hits);
+      }
+    }
+
+    for (const [path, hits] of Object.entries(bucket.schema)) {
+      increment(merged.schema, path, hits);
+    }
+
+    for (const [field, counts] of Object.entries(bucket.strategies)) {
+      merged.strategies[field] ??= {};
+      for (const [strategy, count] of Object.entries(counts)) {
+        increment(merged.strategies[field], strategy, count);
+      }
+    }
+  }
+
+  return merged;
+}
+
+function rate(hits, total) {
+  return total > 0 ? Math.round((hits / total) * 1000) / 1000 : null;
+}
+
+function describeSelectors(window, recent) {
+  const report = {};
+
+  for (const [group, groupBucket] of Object.entries(window.selectors)) {
+    const recentGroup = recent.selectors[group] || { scrapes: 0, anyHits: 0, hits: {} };
+    report[group] = {
+      hitRate: rate(groupBucket.anyHits, groupBucket.scrapes),
+      recentHitRate: rate(recentGroup.anyHits, recentGroup.scrapes),
+      selectors: Object.fromEntries(
+        Object.entries(groupBucket.hits).map(([selector, hits]) => [
+          selector,
+          {
+            hitRate: rate(hits, groupBucket.scrapes),
+            recentHitRate: rate(recentGroup.hits[selector] || 0, recentGroup.scrapes),
+          },
+        ]),
+      ),
+    };
+  }
+
+  return report;
+}
+
+function describeSchema(window) {
+  const scrapes = window.schema.__scrapes || 0;
+  return Object.fromEntries(
+    Object.entries(window.schema)
+      .filter(([path]) => path !== "__scrapes")
+      .map(([path, hits]) => [path, rate(hits, scrapes)]),
+  );
+}
+
+function findFlags(baseline, recent) {
+  const flags = [];
+  if (recent.scrapes < MIN_RECENT_SAMPLES) {
+    return flags;
+  }
+
+  for (const [field, primaries] of Object.entries(PRIMARY_STRATEGIES)) {
+    const counts = recent.strategies[field] || {};
+    const primaryCount = primaries.reduce((sum, strategy) => sum + (counts[strategy] || 0), 0);
+    const fallbackCount = Object.entries(counts)
+      .filter(([strategy]) => strategy !== "none" && !primaries.includes(strategy))
+      .reduce((sum, [, count]) => sum + count, 0);
+
+    if (primaryCount === 0 && fallbackCount > 0) {
+      flags.push({
+        type: "fallback-only",
+        field,
+        message: `No ${field} came from the primary strategies today; fallbacks produced ${fallbackCount}`,
+      });
+    }
+  }
+
+  for (const [group, groupBucket] of Object.entries(baseline.selectors)) {
+    const recentGroup = recent.selectors[group];
+    if (!recentGroup || recentGroup.scrapes < MIN_RECENT_SAMPLES) {
+      continue;
+    }
+
+    if (groupBucket.anyHits > 0 && recentGroup.anyHits === 0) {
+      flags.push({
+        type: "group-dropped",
+        group,
+        message: `No ${group} selector matched today after ${groupBucket.anyHits} earlier hits`,
+      });
+      continue;
+    }
+
+    for (const [selector, hits] of Object.entries(groupBucket.hits)) {
+      if (
+        rate(hits, groupBucket.scrapes) >= DROPPED_SELECTOR_MIN_HIT_RATE &&
+        !recentGroup.hits[selector]
+      ) {
+        flags.push({
+          type: "selector-dropped",
+          group,
+          selector,
+          message: `${selector} stopped matching today`,
+        });
+      }
+    }
+  }
+
+  return flags;
+}
+
+export async function getHealthReport(now = new Date()) {
+  const data = await healthStore.read(windowDays(now));
+  const today = dayKey(now);
+  const days = Object.keys(data).sort();
+  const buckets = Object.fromEntries(days.map((key) => [key, bucketFromCounts(data[key])]));
+  const window = mergeBuckets(Object.values(buckets));
+  const recent = buckets[today] || createBucket();
+  const baseline = mergeBuckets(days.filter((key) => key !== today).map((key) => buckets[key]));
+  const flags = findFlags(baseline, recent);
+
+  return {
+    status: flags.length > 0 ? "degraded" : "ok",
+    generatedAt: now.toISOString(),
+    windowDays: days.length,
+    scrapes: { total: window.scrapes, today: recent.scrapes, sources: window.sources },
+    selectors: describeSelectors(window, recent),
+    schemaPaths: describeSchema(window),
+    strategies: window.strategies,
+    flags,
+  };
+}
@@ -0,0 +1,251 @@
+import { createDecipheriv } from "node:crypto";
+import pLimit from "p-limit";
+import { LinkedInExtractionError } from "./errors.js";
+
+const HLS_MIME_TYPES = new Set([
+  "application/vnd.apple.mpegurl",
+  "application/x-mpegurl",
+  "audio/mpegurl",
+  "audio/x-mpegurl",
+]);
+const HLS_SIGNATURE = "#EXTM3U";
+const MAX_VARIANT_PLAYLISTS = 3;
+const MAX_SEGMENTS = 2_000;
+
+export function isHlsPlaylist(mimeType, buffer) {
+  if (HLS_MIME_TYPES.has(String(mimeType || "").toLowerCase())) {
+    return true;
+  }
+
+  // trimStart() also drops a leading byte-order mark.
+  const head = buffer ? buffer.subarray(0, 32).toString("utf8").trimStart() : "";
+  return head.startsWith(HLS_SIGNATURE);
+}
+
+function parseAttributes(value) {
+  const attributes = {};
+  const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+
+  // eslint-disable-next-line no-cond-assign
+  while ((match = pattern.exec(value)) !== null) {
+    attributes[match[1]] = match[2].replace(/^"|"$/g, "");
+  }
+
+  return attributes;
+}
+
+function resolveUri(uri, baseUrl) {
+  return new URL(uri, baseUrl).toString();
+}
+
+export function parsePlaylist(text, baseUrl) {
+  const lines = String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  if (lines[0] !== HLS_SIGNATURE) {
+    throw new Error("Not an HLS playlist");
+  }
+
+  const variants = [];
+  const segments = [];
+  let map = null;
+  let key = null;
+  let mediaSequence = 0;
+  let pendingVariant = null;
+  let pendingDuration = null;
+
+  for (const line of lines.slice(1)) {
+    if (line.startsWith("#EXT-X-STREAM-INF:")) {
+      const attributes = parseAttributes(line.slice("#EXT-X-STREAM-INF:".length));
+      const [width, height] = String(attributes.RESOLUTION || "")
+        .split("x")
+        .map(Number);
+      pendingVariant = {
+        bandwidth: Number(attributes.BANDWIDTH) || 0,
+        width: width || null,
+        height: height || null,
+      };
+      continue;
+    }
+
+    if (line.startsWith("#EXT-X-MEDIA-SEQUENCE:")) {
+      mediaSequence = Number(line.split(":")[1]) || 0;
+      continue;
+    }
+
+    if (line.startsWith("#EXT-X-MAP:")) {
+      const attributes = parseAttributes(line.slice("#EXT-X-MAP:".length));
+      map = attributes.URI ? { uri: resolveUri(attributes.URI, baseUrl) } : null;
+      continue;
+    }
+
+    if (line.startsWith("#EXT-X-KEY:")) {
+      const attributes = parseAttributes(line.slice("#EXT-X-KEY:".length));
+      key =
+        attributes.METHOD && attributes.METHOD !== "NONE"
+          ? {
+              method: attributes.METHOD,
+              uri: attributes.URI ? resolveUri(attributes.URI, baseUrl) : null,
+              iv: attributes.IV || null,
+            }
+          : null;
+      continue;
+    }
+
+    if (line.startsWith("#EXTINF:")) {
+      pendingDuration = Number.parseFloat(line.slice("#EXTINF:".length)) || 0;
+      continue;
+    }
+
+    if (line.startsWith("#")) {
+      continue;
+    }
+
+    if (pendingVariant) {
+      variants.push({ ...pendingVariant, uri: resolveUri(line, baseUrl) });
+      pendingVariant = null;
+      continue;
+    }
+
+    segments.push({
+      uri: resolveUri(line, baseUrl),
+      duration: pendingDuration || 0,
+      sequence: mediaSequence + segments.length,
+      key,
+    });
+    pendingDuration = null;
+  }
+
+  return {
+    type: variants.length > 0 ? "master" : "media",
+    variants,
+    segments,
+    map,
+    duration: segments.reduce((total, segment) => total + segment.duration, 0),
+  };
+}
+
+function sequenceIv(sequence) {
+  const iv = Buffer.alloc(16);
+  iv.writeBigUInt64BE(BigInt(sequence), 8);
+  return iv;
+}
+
+function decryptSegment(buffer, segment, keyBuffer) {
+  if (segment.key.method !== "AES-128") {
+    throw new Error(`Unsupported HLS encryption: ${segment.key.method}`);
+  }
+
+  const iv = segment.key.iv
+    ? Buffer.from(segment.key.iv.replace(/^0x/i, "").padStart(32, "0"), "hex")
+    : sequenceIv(segment.sequence);
+  const decipher = createDecipheriv("aes-128-cbc", keyBuffer, iv);
+  return Buffer.concat([decipher.update(buffer), decipher.final()]);
+}
+
+async function selectMediaPlaylist(master, { fetchBuffer, maxBytes }) {
+  const ranked = [...master.variants].sort((a, b) => b.bandwidth - a.bandwidth);
+  let fallback = null;
+
+  for (const variant of ranked.slice(0, MAX_VARIANT_PLAYLISTS)) {
+    const text = (await fetchBuffer(variant.uri)).toString("utf8");
+    const playlist = parsePlaylist(text, variant.uri);
+    const estimatedBytes = (variant.bandwidth * playlist.duration) / 8;
+    fallback = playlist;
+
+    if (!maxBytes || !estimatedBytes || estimatedBytes <= maxBytes) {
+      return playlist;
+    }
+  }
+
+  if (ranked.length > MAX_VARIANT_PLAYLISTS) {
+    const lowest = ranked[ranked.length - 1];
+    return parsePlaylist((await fetchBuffer(lowest.uri)).toString("utf8"), lowest.uri);
+  }
+
+  return fallback;
+}
+
+/**
+ * Downloads an HLS stream into one playable buffer. Segments are fetched through
+ * the caller's `fetchBuffer` so host allow-lists and referers stay in one place.
+ * fMP4 streams (with `#EXT-X-MAP`) concatenate into an MP4, others into MPEG-TS.
+ */
+export async function downloadHlsVideo(playlistUrl, playlistText, options = {}) {
+  const { fetchBuffer, concurrency = 3, maxBytes = null } = options;
+  if (typeof fetchBuffer !== "function") {
+    throw new Error("fetchBuffer is required");
+  }
+
+  let playlist = parsePlaylist(playlistText, playlistUrl);
+  if (playlist.type === "master") {
+    playlist = await selectMediaPlaylist(playlist, { fetchBuffer, maxBytes });
+  }
+
+  if (!playlist || playlist.segments.length === 0) {
+    throw new Error("HLS playlist has no segments");
+  }
+
+  if (playlist.segments.length > MAX_SEGMENTS) {
+    throw new Error(`HLS playlist has too many segments: ${playlist.segments.length}`);
+  }
+
+  const keyCache = new Map();
+  const loadKey = (uri) => {
+    if (!keyCache.has(uri)) {
+      keyCache.set(uri, fetchBuffer(uri));
+    }
+    return keyCache.get(uri);
+  };
+
+  let totalBytes = 0;
+  const addBytes = (length) => {
+    totalBytes += length;
+    if (maxBytes && totalBytes > maxBytes) {
+      throw new LinkedInExtractionError("MEDIA_TOO_LARGE", `HLS stream exceeds ${maxBytes} bytes`);
+    }
+  };
+
+  // The init segment ends up in the output too, so it counts toward the cap.
+  const initBuffer = playlist.map ? await fetchBuffer(playlist.map.uri) : null;
+  if (initBuffer) {
+    addBytes(initBuffer.length);
+  }
+
+  const limit = pLimit(concurrency);
+  const controller = new AbortController();
+  const tasks = playlist.segments.map((segment) =>
+    limit(async () => {
+      if (controller.signal.aborted) {
+        throw controller.signal.reason;
+      }
+
+      let buffer = await fetchBuffer(segment.uri);
+      if (segment.key) {
+        if (!segment.key.uri) {
+          throw new Error("HLS key URI missing");
+        }
+        buffer = decryptSegment(buffer, segment, await loadKey(segment.key.uri));
+      }
+
+      try {
+        addBytes(buffer.length);
+      } catch (error) {
+        controller.abort(error);
+        throw error;
+      }
+
+      return buffer;
+    }),
+  );
+
+  const segmentBuffers = await Promise.all(tasks);
+
+  return {
+    buffer: Buffer.concat(initBuffer ? [initBuffer, ...segmentBuffers] : segmentBuffers),
+    mimeType: initBuffer ? "video/mp4" : "video/mp2t",
+  };
+}
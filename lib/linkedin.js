@@ -1,26 +1,96 @@
 import * as cheerio from "cheerio";
 import pLimit from "p-limit";
+import { cachedScrape } from "./cache.js";
+import { errorFromResponse, LinkedInExtractionError } from "./errors.js";
+import { recordScrapeHealth } from "./health.js";
+import { downloadHlsVideo, isHlsPlaylist } from "./hls.js";
+import { isHtmlDocument, sniffMediaType } from "./sniff.js";
+import {
+  createTrace,
+  finishTrace,
+  traceAttempt,
+  traceCandidates,
+  traceDiscard,
+  traceFetch,
+  traceProvenance,
+  traceSelectors,
+} from "./trace.js";
 import {
   assertValidLinkedInPostUrl,
+  extractLinkedInPostUrn,
   fetchWithRedirectGuard,
   isAllowedLinkedInMediaHost,
   isAllowedLinkedInMediaUrl,
+  isLinkedInHostname,
+  isLinkedInShortlinkUrl,
+  isValidLinkedInArticleUrl,
+  isValidLinkedInPostUrl,
+  isValidLinkedInProfileUrl,
+  LINKEDIN_HOST,
+  LINKEDIN_SHORTLINK_HOST,
   logError,
+  normalizeLinkedInUrl,
+  normalizeMultilineWhitespace,
   normalizeWhitespace,
+  parseCompactNumber,
   parseUrl,
+  readResponseBuffer,
+  readResponseText,
+  singleFlight,
+  toLinkedInProfileUrl,
   withRetries,
 } from "./utils.js";
 
 const LINKEDIN_ALLOWED_HOSTS = new Set(["www.linkedin.com"]);
 const PRIMARY_TEXT_SELECTORS = [
+  '[data-test-id="main-feed-activity-card__commentary"]',
   ".attributed-text-segment-list__content",
   ".update-components-update-v2__commentary",
 ];
+const BLOCK_TEXT_TAGS = new Set([
+  "p",
+  "div",
+  "ul",
+  "ol",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "blockquote",
+]);
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&])(#[\p{L}\p{N}_]+)/gu;
+const TEXT_URL_PATTERN = /https?:\/\/[^\s<>"'`]+[^\s<>"'`),.;!?]/gi;
+const REDIRECT_URL_PARAMS = ["url", "dest", "destRedirectURL"];
+const EXPANDED_LINK_ATTRIBUTES = ["data-expanded-url", "data-original-url", "title"];
+const MAX_ARTICLE_SECTIONS = 800;
+const MAX_SHORTLINK_REDIRECTS = 4;
+const LINKEDIN_EMBED_PATH = "/embed/feed/update/";
+// The interstitial's own target link; header and footer navigation also point at linkedin.com.
+const SHORTLINK_TARGET_SELECTORS = [
+  'a[data-tracking-control-name="external_url_click"]',
+  'main a[href*="linkedin.com/"]:not(nav a, header a, footer a)',
+];
 const RETRY_COUNT = 2;
+const DEFAULT_MAX_COMMENTS = 20;
 const MAX_MEDIA_COUNT = 40;
 const MAX_DOWNLOAD_COUNT = 40;
 const DOWNLOAD_CONCURRENCY = 3;
+const HLS_SEGMENT_CONCURRENCY = 4;
+const TELEGRAM_UPLOAD_LIMIT_BYTES = 50 * 1024 * 1024;
+const MAX_TOTAL_DOWNLOAD_BYTES = 200 * 1024 * 1024;
+const MAX_HTML_BYTES = 4 * 1024 * 1024;
+const PAGE_FETCH_WAIT_MS = 20_000;
+const MEDIA_DOWNLOAD_WAIT_MS = 60_000;
+const EMBED_FALLBACK_ERROR_CODES = new Set(["PRIVATE_OR_PROTECTED", "RATE_LIMITED"]);
+const MAX_VIDEO_SIZE_PROBES = 4;
+const VIDEO_PROBE_BUDGET_MS = 6_000;
+const VIDEO_SOURCE_URL_KEYS = ["src", "url", "source", "streamingLocation", "location"];
 const EMBED_FETCH_CONCURRENCY = 2;
+const PROFILE_SCRAPE_CONCURRENCY = 2;
+const DEFAULT_PROFILE_POST_LIMIT = 5;
+const MAX_PROFILE_POST_LIMIT = 10;
 const MAX_EMBED_FETCHES = 3;
 const DEFAULT_LINKEDIN_REFERERS = [
   "https://www.linkedin.com/",
@@ -82,6 +152,382 @@ const EMBED_FRAME_SELECTORS = [
   '[data-document-url*="/embeds/native-document"]',
 ];
 
+const AUTHOR_CONTAINER_SELECTORS = [
+  '[data-test-id="main-feed-activity-card__entity-lockup"]',
+  ".update-components-actor",
+  ".feed-shared-actor",
+  ".base-main-card__info",
+];
+
+const AUTHOR_NAME_SELECTORS = [
+  ".update-components-actor__name span[aria-hidden='true']",
+  ".update-components-actor__name",
+  ".feed-shared-actor__name",
+  ".update-components-actor__title span[aria-hidden='true']",
+  '[data-tracking-control-name*="feed-actor-name"]',
+  ".base-main-card__title",
+];
+
+// Pulse articles put the author in a publisher card whose name is a bare heading; that
+// fallback is too loose for post pages, where any heading could match.
+const ARTICLE_AUTHOR_DOM_SELECTORS = {
+  containers: [...AUTHOR_CONTAINER_SELECTORS, ".publisher-author-card"],
+  names: [...AUTHOR_NAME_SELECTORS, "h3"],
+};
+
+const AUTHOR_HEADLINE_SELECTORS = [
+  ".update-components-actor__description span[aria-hidden='true']",
+  ".update-components-actor__description",
+  ".feed-shared-actor__description",
+  ".base-main-card__subtitle",
+];
+
+const AUTHOR_AVATAR_SELECTORS = [
+  ".update-components-actor__avatar img",
+  ".feed-shared-actor__avatar img",
+  "img.feed-shared-actor__avatar-image",
+  "img[data-delayed-url*='profile-displayphoto']",
+  "img[data-delayed-url*='company-logo']",
+  "img[src*='profile-displayphoto']",
+  "img[src*='company-logo']",
+];
+
+const ENGAGEMENT_DOM_SELECTORS = {
+  reactions: [
+    '[data-test-id="social-actions__reaction-count"]',
+    ".social-details-social-counts__reactions-count",
+    '[data-test-id="social-actions__reactions"]',
+  ],
+  comments: [
+    '[data-test-id="social-actions__comments"]',
+    ".social-details-social-counts__comments",
+  ],
+  reposts: [
+    '[data-test-id="social-actions__reposts"]',
+    ".social-details-social-counts__item--right-aligned button[aria-label*='repost' i]",
+  ],
+};
+
+const SCHEMA_INTERACTION_TYPES = {
+  likeaction: "reactions",
+  commentaction: "comments",
+  shareaction: "reposts",
+};
+
+const REACTION_TYPE_NAMES = {
+  LIKE: "like",
+  PRAISE: "celebrate",
+  EMPATHY: "love",
+  INTEREST: "insightful",
+  APPRECIATION: "support",
+  ENTERTAINMENT: "funny",
+};
+
+const COMMENT_CONTAINER_SELECTORS = [
+  "section.comment",
+  ".comments-comment-item",
+  "article.comments-comment-entity",
+];
+
+const COMMENT_FIELD_SELECTORS = {
+  author: [
+    ".comment__author",
+    ".comments-post-meta__name-text",
+    ".comments-comment-meta__description-title",
+  ],
+  text: [
+    ".comment__text",
+    ".comments-comment-item__main-content",
+    ".comments-comment-item-content-body",
+  ],
+  time: [
+    ".comment__duration-since",
+    "time",
+    ".comments-comment-item__timestamp",
+    ".comments-comment-meta__data time",
+  ],
+  likes: [
+    ".comment__reactions-count",
+    ".comments-comment-social-bar__reactions-count",
+  ],
+};
+
+const POLL_CONTAINER_SELECTORS = [
+  ".update-components-poll",
+  ".feed-shared-poll",
+  '[data-test-id="poll"]',
+  ".poll",
+];
+
+const POLL_FIELD_SELECTORS = {
+  question: [
+    ".update-components-poll__question",
+    ".feed-shared-poll__question",
+    ".poll__question",
+    "h3",
+  ],
+  option: [
+    ".update-components-poll-option",
+    ".feed-shared-poll-option",
+    ".poll-option",
+    "li",
+  ],
+  optionText: [
+    ".update-components-poll-option__text",
+    ".feed-shared-poll-option__text",
+    ".poll-option__text",
+    "label",
+  ],
+  optionPercentage: [
+    ".update-components-poll-option__percentage",
+    ".feed-shared-poll-option__percentage",
+    ".poll-option__percentage",
+  ],
+  summary: [
+    ".update-components-poll-summary",
+    ".feed-shared-poll-summary",
+    ".poll__summary",
+  ],
+};
+
+const MAX_POLL_JSON_LENGTH = 2_000_000;
+
+const ATTACHMENT_CARD_SELECTORS = {
+  article: [
+    ".update-components-article",
+    ".feed-shared-article",
+    ".share-article",
+    '[data-test-id="article-card"]',
+  ],
+  event: [
+    ".update-components-event",
+    ".feed-shared-event",
+    ".share-event",
+    '[data-test-id="event-card"]',
+  ],
+  job: [
+    ".update-components-job",
+    ".feed-shared-job",
+    ".share-job",
+    '[data-test-id="job-card"]',
+  ],
+  document: [
+    ".update-components-document",
+    ".feed-shared-document",
+    ".share-document",
+  ],
+};
+
+const ATTACHMENT_FIELD_SELECTORS = {
+  title: ['[class*="__title"]', "h2", "h3"],
+  subtitle: ['[class*="__subtitle"]', '[class*="__meta"]', '[class*="__date"]'],
+  description: ['[class*="__description"]', '[class*="__summary"]', "p"],
+};
+
+const SCHEMA_ATTACHMENT_TYPES = {
+  Event: "event",
+  JobPosting: "job",
+  DigitalDocument: "document",
+};
+
+const IMAGE_VARIANT_SIZE_PATTERN = /_(\d{2,4})(?:_(\d{2,4}))?$/;
+const IMAGE_RENDITION_TIMESTAMP_PATTERN = /^\d{10,}$/;
+
+const MAX_ATTACHMENTS = 5;
+const MAX_ATTACHMENT_DESCRIPTION_LENGTH = 300;
+
+// LinkedIn post IDs keep the creation time (ms since epoch) in their top 41 bits.
+const URN_TIMESTAMP_SHIFT = 22n;
+const MIN_URN_TIMESTAMP_MS = Date.UTC(2003, 0, 1);
+
+const PROFILE_PATH_PREFIXES = ["/in/", "/company/", "/school/", "/showcase/"];
+
+const PROFILE_ACTIVITY_SELECTORS = [
+  'section[data-section="posts"]',
+  '[data-test-id="activities__list"]',
+  ".activities-section",
+  '[data-test-id="organization-updates"]',
+  "section.updates",
+];
+
+const PROFILE_POST_URN_ATTRIBUTES = ["data-activity-urn", "data-urn", "data-entity-urn", "data-id"];
+const PROFILE_POST_CARD_SELECTOR = [
+  ...PROFILE_POST_URN_ATTRIBUTES.map((attribute) => `[${attribute}]`),
+  "article",
+  "li",
+].join(", ");
+const PROFILE_POST_URN_PATTERN = /urn:li:(?:activity|share|ugcPost):\d+/g;
+const PROFILE_POST_URL_PATTERN =
+  /https:\/\/[a-z.]*linkedin\.com\/(?:posts|feed\/update)\/[^"'\s<>]+/gi;
+
+const PROFILE_SCHEMA_TYPES = {
+  Person: "person",
+  Organization: "company",
+  Corporation: "company",
+};
+
+const ARTICLE_TITLE_SELECTORS = [
+  "h1.pulse-title",
+  ".article-main__title",
+  ".reader-article-header__title",
+  "h1",
+];
+
+const ARTICLE_SUBTITLE_SELECTORS = [
+  ".pulse-subtitle",
+  ".article-main__subtitle",
+  ".reader-article-header__subtitle",
+];
+
+const ARTICLE_BODY_SELECTORS = [
+  '[data-test-id="article-content-blocks"]',
+  ".article-main__content",
+  ".reader-article-content",
+  ".article-content",
+  "article",
+];
+
+const ARTICLE_COVER_SELECTORS = [
+  "img.cover-img__image",
+  ".article-main__cover-image img",
+  "img.reader-cover-image__img",
+];
+
+const RESHARE_CONTAINER_SELECTORS = [
+  '[data-test-id="main-feed-activity-card__reshared-update"]',
+  ".update-components-mini-update-v2",
+  ".feed-shared-mini-update-v2",
+  ".update-components-reshared-update",
+  ".feed-shared-update-v2__reshared-content",
+];
+
+const RESHARE_TEXT_SELECTORS = [
+  ...PRIMARY_TEXT_SELECTORS,
+  ".update-components-text",
+  ".feed-shared-inline-show-more-text",
+  ".update-components-mini-update-v2__reshared-content",
+];
+
+const TRACE_SELECTOR_GROUPS = {
+  text: PRIMARY_TEXT_SELECTORS,
+  author: AUTHOR_CONTAINER_SELECTORS,
+  engagement: Object.values(ENGAGEMENT_DOM_SELECTORS).flat(),
+  comments: COMMENT_CONTAINER_SELECTORS,
+  poll: POLL_CONTAINER_SELECTORS,
+  attachments: Object.values(ATTACHMENT_CARD_SELECTORS).flat(),
+  reshare: RESHARE_CONTAINER_SELECTORS,
+  images: POST_IMAGE_SELECTORS,
+  videos: POST_VIDEO_SELECTORS,
+  documents: POST_DOCUMENT_SELECTORS,
+  embeds: EMBED_FRAME_SELECTORS,
+};
+
+const HEALTH_SELECTOR_GROUPS = {
+  text: PRIMARY_TEXT_SELECTORS,
+  images: POST_IMAGE_SELECTORS,
+  videos: POST_VIDEO_SELECTORS,
+  documents: POST_DOCUMENT_SELECTORS,
+};
+
+const SCHEMA_HEALTH_PATHS = [
+  "articleBody",
+  "description",
+  "text",
+  "headline",
+  "author",
+  "datePublished",
+  "image",
+  "video",
+  "contentUrl",
+  "associatedMedia",
+  "interactionStatistic",
+  "sharedContent",
+  "comment",
+];
+
+// Media extractors in priority order. The merger keeps the highest confidence
+// per URL and, on ties, the order in which candidates were found.
+const MEDIA_EXTRACTORS = [
+  {
+    name: "schema",
+    confidence: 0.9,
+    run: ({ primarySchema }) => extractMediaFromSchema(primarySchema),
+  },
+  {
+    name: "dom",
+    confidence: 0.8,
+    run: ({ $, trace, scope }) => ({
+      imageUrls: extractImageUrls($, trace, scope),
+      videoUrls: extractVideoUrls($),
+      documentUrls: extractDocumentUrls($),
+    }),
+  },
+  {
+    name: "native-document",
+    confidence: 0.7,
+    run: ({ $, preferredReferer, trace }) =>
+      extractMediaFromNativeDocuments($, preferredReferer, trace),
+  },
+  {
+    name: "embed",
+    confidence: 0.5,
+    run: ({ $, preferredReferer, trace }) =>
+      extractMediaFromEmbeds($, preferredReferer, trace),
+  },
+];
+
+// Field extractors in priority order. Text and publishedAt keep the first non-empty
+// value; author and engagement are merged key by key, most confident extractor first.
+const FIELD_EXTRACTORS = {
+  text: [
+    {
+      name: "schema",
+      confidence: 0.9,
+      run: ({ primarySchema }) => extractTextFromSchema(primarySchema),
+    },
+    { name: "dom", confidence: 0.8, run: ({ $ }) => extractCommentaryText($) },
+    { name: "og", confidence: 0.3, run: ({ $ }) => extractOgText($) },
+  ],
+  author: [
+    {
+      name: "schema",
+      confidence: 0.9,
+      run: ({ primarySchema }) => extractAuthorFromSchema(primarySchema),
+    },
+    {
+      name: "dom",
+      confidence: 0.8,
+      run: ({ $, authorSelectors }) => extractAuthorFromDom($, authorSelectors),
+    },
+  ],
+  publishedAt: [
+    {
+      name: "schema",
+      confidence: 0.9,
+      run: ({ primarySchema }) => extractPublishedAtFromSchema(primarySchema),
+    },
+    { name: "urn", confidence: 0.6, run: ({ postUrn }) => decodeUrnTimestamp(postUrn) },
+  ],
+  engagement: [
+    {
+      name: "schema",
+      confidence: 0.9,
+      run: ({ primarySchema }) => extractEngagementFromSchema(primarySchema),
+    },
+    { name: "dom", confidence: 0.8, run: ({ $ }) => extractEngagementFromDom($) },
+  ],
+};
+const FIELD_FINISHERS = {
+  author: finishAuthor,
+  engagement: finishEngagement,
+};
+
+const MEDIA_CANDIDATE_KINDS = {
+  imageUrls: "image",
+  videoUrls: "video",
+  documentUrls: "document",
+};
+
 const INCLUDED_IMAGE_CLASS_HINTS = [
   "update-components-image",
   "update-components-carousel",
@@ -133,20 +579,16 @@ const MIME_TO_EXTENSION = {
   "image/heic": "heic",
   "image/heif": "heif",
   "video/mp4": "mp4",
+  "video/3gpp": "3gp",
   "video/webm": "webm",
   "video/quicktime": "mov",
   "video/mpeg": "mpeg",
+  "video/mp2t": "ts",
   "application/pdf": "pdf",
   "application/octet-stream": "bin",
 };
 
-export class LinkedInExtractionError extends Error {
-  constructor(code, message) {
-    super(message);
-    this.name = "LinkedInExtractionError";
-    this.code = code;
-  }
-}
+export { LinkedInExtractionError };
 
 function hasAuthWall($) {
   const title = normalizeWhitespace($("title").first().text()).toLowerCase();
@@ -177,32 +619,210 @@ function isLowValueFallbackText(text) {
   );
 }
 
-function extractPostText($) {
-  const mainCommentary = normalizeWhitespace(
-    $('[data-test-id="main-feed-activity-card__commentary"]').first().text(),
-  );
-  if (mainCommentary && !isLowValueFallbackText(mainCommentary)) {
-    return mainCommentary;
+function collectRichText($, node, state) {
+  if (node.type === "text") {
+    state.text += node.data.replace(/\s+/g, " ");
+    return;
   }
 
-  for (const selector of PRIMARY_TEXT_SELECTORS) {
-    const text = normalizeWhitespace($(selector).first().text());
+  if (node.type !== "tag") {
+    return;
+  }
+
+  const $node = $(node);
+  if ($node.hasClass("visually-hidden")) {
+    return;
+  }
+
+  if (node.name === "br") {
+    state.text += "\n";
+    return;
+  }
+
+  const isBlock = BLOCK_TEXT_TAGS.has(node.name);
+  if (isBlock) {
+    state.text += "\n";
+  }
+
+  if (node.name === "li") {
+    state.text += "\n• ";
+  }
+
+  const anchorStart = state.text.length;
+  for (const child of node.children || []) {
+    collectRichText($, child, state);
+  }
+
+  if (node.name === "a") {
+    state.anchors.push({
+      text: normalizeWhitespace(state.text.slice(anchorStart)),
+      href: $node.attr("href"),
+      expandedUrl: EXPANDED_LINK_ATTRIBUTES.map((attr) => $node.attr(attr)).find(
+        (value) => parseUrl(normalizeWhitespace(value))?.protocol?.startsWith("http"),
+      ),
+    });
+  }
+
+  if (isBlock) {
+    state.text += "\n";
+  }
+}
+
+function extractRichText($, $element) {
+  const state = { text: "", anchors: [] };
+  for (const node of $element.toArray()) {
+    collectRichText($, node, state);
+  }
+
+  return {
+    text: normalizeMultilineWhitespace(state.text),
+    anchors: state.anchors.filter((anchor) => anchor.text),
+  };
+}
+
+function findCommentaryElement($, selectors = PRIMARY_TEXT_SELECTORS) {
+  for (const selector of selectors) {
+    const $element = $(selector).first();
+    const text = normalizeWhitespace($element.text());
     if (text && !isLowValueFallbackText(text)) {
-      return text;
+      return $element;
     }
   }
 
-  const ogDescription = normalizeWhitespace(
+  return null;
+}
+
+function extractCommentaryText($) {
+  const $commentary = findCommentaryElement($);
+  return $commentary ? extractRichText($, $commentary).text : "";
+}
+
+function extractOgText($) {
+  const ogDescription = normalizeMultilineWhitespace(
     $('meta[property="og:description"]').attr("content"),
   );
   const ogTitle = normalizeWhitespace($('meta[property="og:title"]').attr("content"));
   const fallback = ogDescription || ogTitle;
 
-  if (isLowValueFallbackText(fallback)) {
-    return "";
+  return isLowValueFallbackText(fallback) ? "" : fallback;
+}
+
+function decodeOutboundUrl(urlValue) {
+  const parsed = parseUrl(normalizeWhitespace(urlValue));
+  if (!parsed || !["https:", "http:"].includes(parsed.protocol)) {
+    return null;
+  }
+
+  const hostname = parsed.hostname.toLowerCase();
+  const isLinkedInRedirect =
+    (hostname === "linkedin.com" || hostname.endsWith(".linkedin.com")) &&
+    /^\/(redir\/redirect|safety\/go)/.test(parsed.pathname);
+
+  if (isLinkedInRedirect) {
+    for (const param of REDIRECT_URL_PARAMS) {
+      const target = parseUrl(parsed.searchParams.get(param));
+      if (target && ["https:", "http:"].includes(target.protocol)) {
+        return target.toString();
+      }
+    }
+  }
+
+  return parsed.toString();
+}
+
+function classifyAnchor(anchor) {
+  const href = normalizeWhitespace(anchor.href);
+  const resolvedHref = href.startsWith("/") ? `https://${LINKEDIN_HOST}${href}` : href;
+  const hashtagMatch = resolvedHref.match(/\/feed\/hashtag\/(?:\?keywords=)?([^/?#&]+)/i);
+
+  if (anchor.text.startsWith("#") || hashtagMatch) {
+    const tag = anchor.text.replace(/^#/, "") || safeDecodeUriComponent(hashtagMatch[1]);
+    return {
+      type: "hashtag",
+      url: `https://${LINKEDIN_HOST}/feed/hashtag/${encodeURIComponent(tag.toLowerCase())}/`,
+    };
+  }
+
+  const profileUrl = normalizeProfileUrl(resolvedHref);
+  if (profileUrl) {
+    return { type: "mention", url: profileUrl };
+  }
+
+  const url = decodeOutboundUrl(resolvedHref);
+  if (!url) {
+    return null;
+  }
+
+  const isShortLink = isLinkedInShortlinkUrl(url);
+  const expandedUrl = isShortLink ? decodeOutboundUrl(anchor.expandedUrl) : null;
+  if (expandedUrl && expandedUrl !== url) {
+    return { type: "link", url: expandedUrl, shortUrl: url };
+  }
+
+  return { type: "link", url };
+}
+
+function safeDecodeUriComponent(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+function overlapsEntity(entities, offset, length) {
+  return entities.some(
+    (entity) => offset < entity.offset + entity.length && entity.offset < offset + length,
+  );
+}
+
+function extractTextEntities($, text, selectors = PRIMARY_TEXT_SELECTORS) {
+  if (!text) {
+    return [];
+  }
+
+  const entities = [];
+  const $commentary = findCommentaryElement($, selectors);
+  const anchors = $commentary ? extractRichText($, $commentary).anchors : [];
+  let cursor = 0;
+
+  for (const anchor of anchors) {
+    const entity = classifyAnchor(anchor);
+    const offset = text.indexOf(anchor.text, cursor);
+    if (!entity || offset === -1) {
+      continue;
+    }
+
+    entities.push({ ...entity, offset, length: anchor.text.length, text: anchor.text });
+    cursor = offset + anchor.text.length;
+  }
+
+  for (const match of text.matchAll(HASHTAG_PATTERN)) {
+    const tag = match[2];
+    const offset = match.index + match[1].length;
+    if (overlapsEntity(entities, offset, tag.length)) {
+      continue;
+    }
+
+    entities.push({
+      type: "hashtag",
+      url: `https://${LINKEDIN_HOST}/feed/hashtag/${encodeURIComponent(tag.slice(1).toLowerCase())}/`,
+      offset,
+      length: tag.length,
+      text: tag,
+    });
+  }
+
+  for (const match of text.matchAll(TEXT_URL_PATTERN)) {
+    const url = decodeOutboundUrl(match[0]);
+    if (!url || overlapsEntity(entities, match.index, match[0].length)) {
+      continue;
+    }
+
+    entities.push({ type: "link", url, offset: match.index, length: match[0].length, text: match[0] });
   }
 
-  return fallback;
+  return entities.sort((a, b) => a.offset - b.offset);
 }
 
 function decodeHtmlEntities(value) {
@@ -339,7 +959,7 @@ function extractTextFromSchema(primarySchema) {
   ];
 
   for (const candidate of candidates) {
-    const text = normalizeWhitespace(candidate);
+    const text = normalizeMultilineWhitespace(candidate);
     if (text && !isLowValueFallbackText(text)) {
       return text;
     }
@@ -348,866 +968,2593 @@ function extractTextFromSchema(primarySchema) {
   return "";
 }
 
-function addSchemaCandidate(urlSet, value) {
-  if (!value) {
-    return;
+function normalizeProfileUrl(urlValue) {
+  const value = normalizeWhitespace(urlValue);
+  const parsed = parseUrl(value.startsWith("/") ? `https://${LINKEDIN_HOST}${value}` : value);
+  if (!parsed || parsed.protocol !== "https:") {
+    return null;
   }
 
-  for (const entry of toArray(value)) {
-    if (!entry) {
-      continue;
-    }
-
-    if (typeof entry === "string") {
-      addCandidateUrl(urlSet, entry);
-      continue;
-    }
-
-    if (typeof entry === "object") {
-      addCandidateUrl(urlSet, entry.url);
-      addCandidateUrl(urlSet, entry.contentUrl);
-      addCandidateUrl(urlSet, entry.thumbnailUrl);
-    }
+  const hostname = parsed.hostname.toLowerCase();
+  if (hostname !== "linkedin.com" && !hostname.endsWith(".linkedin.com")) {
+    return null;
   }
-}
 
-function extractMediaFromSchema(primarySchema) {
-  if (!primarySchema) {
-    return { imageUrls: [], videoUrls: [], documentUrls: [] };
+  const pathname = parsed.pathname.toLowerCase();
+  if (!PROFILE_PATH_PREFIXES.some((prefix) => pathname.startsWith(prefix))) {
+    return null;
   }
 
-  const imageSet = new Set();
-  const videoSet = new Set();
-  const documentSet = new Set();
+  return `https://${LINKEDIN_HOST}${parsed.pathname}`;
+}
 
-  addSchemaCandidate(imageSet, primarySchema.image);
-  addSchemaCandidate(imageSet, primarySchema.thumbnailUrl);
+function pickAvatarUrl(value) {
+  for (const entry of toArray(value)) {
+    const candidate = typeof entry === "string" ? entry : entry?.url || entry?.contentUrl;
+    const avatarSet = new Set();
+    const [avatarUrl] = addCandidateUrl(avatarSet, candidate);
+    if (avatarUrl) {
+      return avatarUrl;
+    }
+  }
 
-  addSchemaCandidate(videoSet, primarySchema.contentUrl);
-  addSchemaCandidate(videoSet, primarySchema.embedUrl);
-  addSchemaCandidate(videoSet, primarySchema.video);
-  addSchemaCandidate(videoSet, primarySchema.associatedMedia);
+  return null;
+}
 
-  addSchemaCandidate(documentSet, primarySchema.url);
-  addSchemaCandidate(documentSet, primarySchema.encoding);
+function extractAuthorFromSchema(primarySchema) {
+  const authorNode = toArray(primarySchema?.author).find(
+    (entry) => entry && typeof entry === "object",
+  );
+  if (!authorNode) {
+    return null;
+  }
 
   return {
-    imageUrls: [...imageSet]
-      .filter((url) => isLikelyImageMediaPath(parseUrl(url)?.pathname))
-      .slice(0, MAX_MEDIA_COUNT),
-    videoUrls: [...videoSet]
-      .filter((url) => isLikelyVideoMediaPath(parseUrl(url)?.pathname))
-      .slice(0, MAX_MEDIA_COUNT),
-    documentUrls: [...documentSet]
-      .filter((url) => isLikelyDocumentMediaPath(parseUrl(url)?.pathname))
-      .slice(0, MAX_MEDIA_COUNT),
+    name: normalizeWhitespace(authorNode.name) || null,
+    headline: normalizeWhitespace(authorNode.jobTitle || authorNode.description) || null,
+    profileUrl: normalizeProfileUrl(authorNode.url || authorNode["@id"]),
+    avatarUrl: pickAvatarUrl(authorNode.image),
   };
 }
 
-function addCandidateUrl(urlSet, rawUrl, validator = isAllowedLinkedInMediaUrl) {
-  const addedUrls = [];
-  const value = normalizeWhitespace(rawUrl);
-  if (!value) {
-    return addedUrls;
+function firstMatchingText($container, selectors) {
+  for (const selector of selectors) {
+    const text = normalizeWhitespace($container.find(selector).first().text());
+    if (text && !isLowValueFallbackText(text)) {
+      return text;
+    }
   }
 
-  const parts = value.includes(",") ? value.split(",") : [value];
-  for (const part of parts) {
-    const candidate = part.trim().split(/\s+/)[0];
-    if (!candidate) {
+  return null;
+}
+
+function extractAuthorFromDom($, selectors = {}) {
+  const { containers = AUTHOR_CONTAINER_SELECTORS, names = AUTHOR_NAME_SELECTORS } = selectors;
+  for (const containerSelector of containers) {
+    const $container = $(containerSelector).first();
+    if ($container.length === 0) {
       continue;
     }
 
-    try {
-      const parsed = new URL(candidate, "https://www.linkedin.com");
-      parsed.hash = "";
-      const normalized = parsed.toString();
-
-      if (validator(normalized)) {
-        if (urlSet.has(normalized)) {
-          continue;
-        }
+    let profileUrl = null;
+    $container.find("a[href]").each((_, element) => {
+      profileUrl = normalizeProfileUrl($(element).attr("href"));
+      return !profileUrl;
+    });
 
-        urlSet.add(normalized);
-        addedUrls.push(normalized);
+    let avatarUrl = null;
+    for (const selector of AUTHOR_AVATAR_SELECTORS) {
+      const $avatar = $container.find(selector).first();
+      avatarUrl = pickAvatarUrl([
+        $avatar.attr("data-delayed-url"),
+        $avatar.attr("src"),
+        $avatar.attr("data-ghost-url"),
+      ]);
+      if (avatarUrl) {
+        break;
       }
-    } catch {
-      continue;
     }
-  }
 
-  return addedUrls;
-}
+    const author = {
+      name: firstMatchingText($container, names),
+      headline: firstMatchingText($container, AUTHOR_HEADLINE_SELECTORS),
+      profileUrl,
+      avatarUrl,
+    };
 
-function parseNumericDimension(value) {
-  if (!value) {
-    return null;
+    if (author.name || author.profileUrl) {
+      return author;
+    }
   }
 
-  const parsed = Number.parseInt(String(value), 10);
-  if (!Number.isFinite(parsed) || parsed <= 0) {
+  return null;
+}
+
+function extractAuthor($, primarySchema, domSelectors = {}) {
+  return extractField({ $, primarySchema, authorSelectors: domSelectors }, "author").value;
+}
+
+function toIsoDate(value) {
+  const normalized = normalizeWhitespace(value);
+  if (!normalized) {
     return null;
   }
 
-  return parsed;
-}
+  const timestamp = Date.parse(normalized);
+  if (!Number.isFinite(timestamp)) {
+    return null;
+  }
 
-function hasAnyHint(value, hints) {
-  const normalized = String(value || "").toLowerCase();
-  return hints.some((hint) => normalized.includes(hint));
+  return new Date(timestamp).toISOString();
 }
 
-function isLikelyPostImageElement($, element, urlValue) {
-  const parsed = parseUrl(urlValue);
-  if (!parsed) {
-    return false;
+function extractPublishedAtFromSchema(primarySchema) {
+  if (!primarySchema) {
+    return null;
   }
 
-  const pathname = parsed.pathname.toLowerCase();
-  if (!pathname.includes("/dms/image/")) {
-    return false;
-  }
+  const candidates = [
+    primarySchema.datePublished,
+    primarySchema.uploadDate,
+    primarySchema.dateCreated,
+    primarySchema.dateModified,
+  ];
 
-  if (hasAnyHint(pathname, EXCLUDED_IMAGE_URL_HINTS)) {
-    return false;
+  for (const candidate of candidates) {
+    const isoDate = toIsoDate(candidate);
+    if (isoDate) {
+      return isoDate;
+    }
   }
 
-  const $element = $(element);
-  const classBlob = [
-    $element.attr("class"),
-    $element.parent().attr("class"),
-    $element.closest("[class]").attr("class"),
-  ]
-    .filter(Boolean)
-    .join(" ")
-    .toLowerCase();
+  return null;
+}
 
-  if (hasAnyHint(classBlob, EXCLUDED_IMAGE_CLASS_HINTS)) {
-    return false;
+function decodeUrnTimestamp(postUrn) {
+  const id = String(postUrn || "").split(":").pop();
+  if (!/^\d{15,20}$/.test(id)) {
+    return null;
   }
 
-  const inKnownMediaContainer =
-    $element.closest(POST_MEDIA_CONTAINER_SELECTOR).length > 0;
-  const hasStrongClassSignal = hasAnyHint(classBlob, INCLUDED_IMAGE_CLASS_HINTS);
+  const timestamp = Number(BigInt(id) >> URN_TIMESTAMP_SHIFT);
+  if (timestamp < MIN_URN_TIMESTAMP_MS || timestamp > Date.now() + 86_400_000) {
+    return null;
+  }
 
-  if (!inKnownMediaContainer && !hasStrongClassSignal) {
-    return false;
+  return new Date(timestamp).toISOString();
+}
+
+function extractEngagementFromSchema(primarySchema) {
+  const counts = {};
+
+  for (const statistic of toArray(primarySchema?.interactionStatistic)) {
+    const interactionType = String(
+      statistic?.interactionType?.["@type"] || statistic?.interactionType || "",
+    )
+      .split("/")
+      .pop()
+      .toLowerCase();
+    const field = SCHEMA_INTERACTION_TYPES[interactionType];
+    const count = parseCompactNumber(statistic?.userInteractionCount);
+    if (field && count !== null) {
+      counts[field] = count;
+    }
   }
 
-  const width = parseNumericDimension($element.attr("width"));
-  const height = parseNumericDimension($element.attr("height"));
-  const tooSmall = (width !== null && width < 140) || (height !== null && height < 140);
+  const commentCount = parseCompactNumber(primarySchema?.commentCount);
+  if (typeof counts.comments === "undefined" && commentCount !== null) {
+    counts.comments = commentCount;
+  }
 
-  if (tooSmall && !hasStrongClassSignal) {
-    return false;
+  return counts;
+}
+
+function extractEngagementFromDom($) {
+  const counts = {};
+
+  for (const [field, selectors] of Object.entries(ENGAGEMENT_DOM_SELECTORS)) {
+    for (const selector of selectors) {
+      const $element = $(selector).first();
+      const count = parseCompactNumber(
+        $element.attr("data-num-comments") ||
+          $element.attr("data-num-reactions") ||
+          $element.text() ||
+          $element.attr("aria-label"),
+      );
+      if (count !== null) {
+        counts[field] = count;
+        break;
+      }
+    }
   }
 
-  return true;
+  return counts;
 }
 
-function extractImageUrls($) {
-  const imageSet = new Set();
+function extractReactionBreakdown($) {
+  const breakdown = {};
+  const pattern = /\{[^{}]*"reactionType"[^{}]*\}/g;
 
-  for (const selector of POST_IMAGE_SELECTORS) {
-    $(selector).each((_, element) => {
-      const candidates = [
-        $(element).attr("src"),
-        $(element).attr("srcset"),
-        $(element).attr("data-delayed-url"),
-        $(element).attr("data-ghost-url"),
-      ];
+  $("script, code").each((_, element) => {
+    const body = decodeHtmlEntities($(element).html());
+    if (!body.includes("reactionTypeCounts") || body.length > 2_000_000) {
+      return;
+    }
 
-      for (const candidate of candidates) {
-        const addedUrls = addCandidateUrl(imageSet, candidate);
-        for (const addedUrl of addedUrls) {
-          if (!isLikelyPostImageElement($, element, addedUrl)) {
-            imageSet.delete(addedUrl);
-          }
-        }
+    for (const entry of body.match(pattern) || []) {
+      const type = entry.match(/"reactionType"\s*:\s*"([A-Z_]+)"/)?.[1];
+      const count = entry.match(/"count"\s*:\s*(\d+)/)?.[1];
+      if (!type || !count) {
+        continue;
       }
-    });
-  }
 
-  return [...imageSet].slice(0, MAX_MEDIA_COUNT);
+      const name = REACTION_TYPE_NAMES[type] || type.toLowerCase();
+      breakdown[name] = Math.max(breakdown[name] || 0, Number(count));
+    }
+  });
+
+  return breakdown;
 }
 
-function isLikelyImageMediaPath(pathname) {
-  const normalized = String(pathname || "").toLowerCase();
-  if (!normalized.includes("/dms/image/")) {
-    return false;
+function hasFieldValue(value) {
+  if (value && typeof value === "object") {
+    return Object.values(value).some((entry) => entry !== null && entry !== undefined);
   }
 
-  return !hasAnyHint(normalized, EXCLUDED_IMAGE_URL_HINTS);
+  return Boolean(value);
 }
 
-function isLikelyVideoMediaPath(pathname) {
-  const normalized = String(pathname || "").toLowerCase();
-  return (
-    normalized.includes("/dms/video/") ||
-    normalized.includes("/dms/videoplayback/") ||
-    normalized.includes("/playlist/vid/")
-  );
+function mergeFieldValues(values) {
+  const merged = {};
+  for (const value of values) {
+    for (const [key, entry] of Object.entries(value)) {
+      merged[key] ??= entry ?? null;
+    }
+  }
+
+  return merged;
 }
 
-function isLikelyDocumentMediaPath(pathname) {
-  const normalized = String(pathname || "").toLowerCase();
-  return normalized.includes("/dms/document/");
+function finishAuthor(author) {
+  const result = {
+    name: author.name || null,
+    headline: author.headline || null,
+    profileUrl: author.profileUrl || null,
+    avatarUrl: author.avatarUrl || null,
+  };
+
+  return result.name || result.profileUrl ? result : null;
 }
 
-function extractVideoUrls($) {
-  const videoSet = new Set();
-  const videoAttributeCandidates = [
-    "src",
-    "href",
-    "data-delayed-url",
-    "data-mp4-source-url",
-    "data-video-url",
-    "data-source-url",
-    "data-manifest-url",
-    "data-sources",
-    "data-player-config",
-    "style",
-  ];
+function finishEngagement(counts, { $ }) {
+  const reactionBreakdown = extractReactionBreakdown($);
+  const engagement = {
+    reactions: counts.reactions ?? null,
+    comments: counts.comments ?? null,
+    reposts: counts.reposts ?? null,
+    reactionBreakdown,
+  };
 
-  for (const selector of POST_VIDEO_SELECTORS) {
-    $(selector).each((_, element) => {
-      for (const attrName of videoAttributeCandidates) {
-        const attrValue = $(element).attr(attrName);
-        addCandidateUrl(videoSet, attrValue);
+  const hasCounts =
+    engagement.reactions !== null ||
+    engagement.comments !== null ||
+    engagement.reposts !== null ||
+    Object.keys(reactionBreakdown).length > 0;
 
-        const embeddedMatches = extractEmbeddedMediaUrls(attrValue, "video");
-        for (const match of embeddedMatches) {
-          addCandidateUrl(videoSet, match);
-        }
-      }
+  return hasCounts ? engagement : null;
+}
 
-      const elementHtml = $(element).html();
-      const htmlMatches = extractEmbeddedMediaUrls(elementHtml, "video");
-      for (const match of htmlMatches) {
-        addCandidateUrl(videoSet, match);
-      }
-    });
-  }
+/**
+ * Runs the registered extractors for `field` and returns the winning value with its
+ * provenance. Merged fields list every extractor that contributed a key.
+ */
+function extractField(context, field) {
+  const finish = FIELD_FINISHERS[field];
+  const candidates = [];
+  for (const extractor of FIELD_EXTRACTORS[field]) {
+    const value = extractor.run(context);
+    if (!hasFieldValue(value)) {
+      continue;
+    }
 
-  const scriptVideos = extractScriptMediaUrls($, "video");
-  for (const url of scriptVideos) {
-    videoSet.add(url);
+    candidates.push({ source: extractor.name, confidence: extractor.confidence, value });
+    if (!finish) {
+      break;
+    }
   }
 
-  if (videoSet.size === 0) {
-    addCandidateUrl(videoSet, $('meta[property="og:video"]').attr("content"));
-    addCandidateUrl(
-      videoSet,
-      $('meta[property="og:video:secure_url"]').attr("content"),
-    );
+  const provenance = {
+    sources: candidates.map((candidate) => candidate.source),
+    confidence: candidates[0]?.confidence ?? null,
+  };
+  if (finish) {
+    const merged = mergeFieldValues(candidates.map((candidate) => candidate.value));
+    return { value: finish(merged, context), provenance };
   }
 
-  return [...videoSet]
-    .filter((url) => {
-      const pathname = parseUrl(url)?.pathname?.toLowerCase() || "";
-      return isLikelyVideoMediaPath(pathname);
-    })
-    .slice(0, MAX_MEDIA_COUNT);
+  return { value: candidates[0]?.value ?? (field === "text" ? "" : null), provenance };
 }
 
-function decodeEscapedUrl(urlValue) {
-  return String(urlValue)
-    .replace(/\\u002F/gi, "/")
-    .replace(/\\\//g, "/")
-    .replace(/&amp;/g, "&");
+// Extracts every registered field and the provenance of each winning value.
+function extractPostFields(context) {
+  const values = {};
+  const provenance = {};
+  for (const field of Object.keys(FIELD_EXTRACTORS)) {
+    ({ value: values[field], provenance: provenance[field] } = extractField(context, field));
+  }
+
+  return { values, provenance };
 }
 
-function extractEmbeddedMediaUrls(rawValue, kind) {
-  const source = decodeEscapedUrl(rawValue || "");
-  if (!source) {
-    return [];
-  }
+function extractCommentsFromSchema(primarySchema) {
+  const comments = [];
 
-  const patterns = [
-    new RegExp(`https://[a-z0-9.-]+/dms/${kind}[^"'\\s<>,]*`, "gi"),
-  ];
+  for (const entry of toArray(primarySchema?.comment)) {
+    if (!entry || typeof entry !== "object") {
+      continue;
+    }
 
-  if (kind === "video") {
-    patterns.push(
-      /https:\/\/[a-z0-9.-]+\/dms\/videoplayback[^"'\s<>,]*/gi,
-      /https:\/\/[a-z0-9.-]+\/playlist\/vid\/[^"'\s<>,]*/gi,
-      /https:\/\/[a-z0-9.-]+\/dms\/video\/[^"'\s<>,]*\.(mp4|mov|webm|mpeg)(\?[^"'\s<>,]*)?/gi,
+    const text = normalizeWhitespace(entry.text || entry.description);
+    if (isLowValueFallbackText(text)) {
+      continue;
+    }
+
+    const authorNode = toArray(entry.author).find(
+      (item) => item && typeof item === "object",
     );
+    const likeCount = extractEngagementFromSchema(entry).reactions;
+
+    comments.push({
+      authorName: normalizeWhitespace(authorNode?.name) || null,
+      authorProfileUrl: normalizeProfileUrl(authorNode?.url),
+      text,
+      publishedAt: toIsoDate(entry.datePublished || entry.dateCreated),
+      relativeTime: null,
+      likeCount: likeCount ?? null,
+    });
   }
 
-  const matches = [];
-  for (const pattern of patterns) {
-    matches.push(...(source.match(pattern) || []));
+  return comments;
+}
+
+function findFirst($container, selectors) {
+  for (const selector of selectors) {
+    const $match = $container.find(selector).first();
+    if ($match.length > 0) {
+      return $match;
+    }
   }
 
-  return [...new Set(matches)];
+  return null;
 }
 
-function extractScriptMediaUrls($, kind) {
-  const mediaSet = new Set();
-  const kinds = kind === "video" ? ["video", "videoplayback"] : [kind];
-
-  $("script").each((_, element) => {
-    const scriptBody = $(element).html();
-    if (!scriptBody || scriptBody.length > 2_000_000) {
-      return;
-    }
+function extractCommentsFromDom($) {
+  const comments = [];
 
-    for (const mediaKind of kinds) {
-      const escapedPattern = new RegExp(
-        `https:\\\\\\/\\\\\\/[a-z0-9.-]+\\\\\\/dms\\\\\\/${mediaKind}[^"\\\\\\s<]*`,
-        "gi",
-      );
-      const plainPattern = new RegExp(
-        `https://[a-z0-9.-]+/dms/${mediaKind}[^"'\\s<]*`,
-        "gi",
+  for (const containerSelector of COMMENT_CONTAINER_SELECTORS) {
+    $(containerSelector).each((_, element) => {
+      const $comment = $(element);
+      const text = normalizeWhitespace(
+        findFirst($comment, COMMENT_FIELD_SELECTORS.text)?.text(),
       );
-      const matches = [
-        ...(scriptBody.match(escapedPattern) || []),
-        ...(scriptBody.match(plainPattern) || []),
-      ];
-
-      for (const match of matches) {
-        addCandidateUrl(mediaSet, decodeEscapedUrl(match));
+      if (isLowValueFallbackText(text)) {
+        return;
       }
-    }
 
-    if (kind === "video") {
-      const playlistMatches = [
-        ...(scriptBody.match(
-          /https:\\\/\\\/[a-z0-9.-]+\\\/playlist\\\/vid[^"\\\s<]*/gi,
-        ) || []),
-        ...(scriptBody.match(
-          /https:\/\/[a-z0-9.-]+\/playlist\/vid[^"'\s<]*/gi,
-        ) || []),
-      ];
+      const $author = findFirst($comment, COMMENT_FIELD_SELECTORS.author);
+      const $time = findFirst($comment, COMMENT_FIELD_SELECTORS.time);
+      const $likes = findFirst($comment, COMMENT_FIELD_SELECTORS.likes);
+      const profileHref =
+        $author?.attr("href") || $author?.closest("a[href]").attr("href");
+
+      comments.push({
+        authorName: normalizeWhitespace($author?.text()) || null,
+        authorProfileUrl: normalizeProfileUrl(profileHref),
+        text,
+        publishedAt: toIsoDate($time?.attr("datetime")),
+        relativeTime: normalizeWhitespace($time?.text()) || null,
+        likeCount: $likes ? parseCompactNumber($likes.text()) : null,
+      });
+    });
 
-      for (const match of playlistMatches) {
-        addCandidateUrl(mediaSet, decodeEscapedUrl(match));
-      }
+    if (comments.length > 0) {
+      break;
     }
-  });
+  }
 
-  return mediaSet;
+  return comments;
 }
 
-function extractDocumentUrls($) {
-  const documentSet = new Set();
+function extractComments($, primarySchema, maxComments) {
+  if (maxComments <= 0) {
+    return [];
+  }
 
-  for (const selector of POST_DOCUMENT_SELECTORS) {
-    $(selector).each((_, element) => {
-      addCandidateUrl(documentSet, $(element).attr("href"));
-      addCandidateUrl(documentSet, $(element).attr("data-document-url"));
-      addCandidateUrl(documentSet, $(element).attr("src"));
-    });
+  const schemaComments = extractCommentsFromSchema(primarySchema);
+  const comments = schemaComments.length > 0 ? schemaComments : extractCommentsFromDom($);
+
+  return comments.slice(0, maxComments);
+}
+
+function parsePercentage(value) {
+  const match = normalizeWhitespace(value).match(/(\d+(?:[.,]\d+)?)\s*%/);
+  return match ? Number(match[1].replace(",", ".")) : null;
+}
+
+function textOf(value) {
+  if (typeof value === "string") {
+    return normalizeWhitespace(value);
   }
 
-  if (documentSet.size === 0) {
-    const scriptDocuments = extractScriptMediaUrls($, "document");
-    for (const url of scriptDocuments) {
-      documentSet.add(url);
+  return normalizeWhitespace(value?.text || value?.option?.text || "");
+}
+
+function findPollObject(value, depth = 0) {
+  if (!value || typeof value !== "object" || depth > 12) {
+    return null;
+  }
+
+  if (Array.isArray(value.pollOptions) || (value.question && Array.isArray(value.options))) {
+    return value;
+  }
+
+  for (const nested of Object.values(value)) {
+    const found = findPollObject(nested, depth + 1);
+    if (found) {
+      return found;
     }
   }
 
-  return [...documentSet]
-    .filter((url) => {
-      const pathname = parseUrl(url)?.pathname?.toLowerCase() || "";
-      return isLikelyDocumentMediaPath(pathname);
-    })
-    .slice(0, MAX_MEDIA_COUNT);
+  return null;
 }
 
-function extractNativeDocumentConfigs($) {
-  const configs = [];
+function withPercentages(options, totalVotes) {
+  const voteSum = options.reduce((sum, option) => sum + (option.votes || 0), 0);
+  const total = totalVotes || voteSum;
 
-  $("[data-native-document-config]").each((_, element) => {
-    const rawConfig = $(element).attr("data-native-document-config");
-    if (!rawConfig) {
-      return;
+  return options.map((option) => ({
+    ...option,
+    percentage:
+      option.percentage ??
+      (total && option.votes !== null ? Math.round((option.votes / total) * 1000) / 10 : null),
+  }));
+}
+
+function extractPollFromJson($) {
+  let poll = null;
+
+  $("code, script").each((_, element) => {
+    const body = $(element).html();
+    if (!body || body.length > MAX_POLL_JSON_LENGTH || !/poll/i.test(body)) {
+      return true;
     }
 
-    const parsed =
-      safeJsonParse(rawConfig) || safeJsonParse(decodeHtmlEntities(rawConfig));
-    if (parsed && typeof parsed === "object") {
-      configs.push(parsed);
+    const parsed = safeJsonParse(body) || safeJsonParse(decodeHtmlEntities(body));
+    const pollObject = findPollObject(parsed);
+    if (!pollObject) {
+      return true;
+    }
+
+    const rawOptions = toArray(pollObject.pollOptions || pollObject.options);
+    const totalVotes = parseCompactNumber(
+      pollObject.uniqueVotersCount ?? pollObject.totalVotes ?? pollObject.voteCount,
+    );
+    const options = rawOptions
+      .map((option) => ({
+        text: textOf(option.option || option.text || option),
+        votes: parseCompactNumber(option.voteCount ?? option.votes),
+        percentage: readPositiveNumber(option.percentage) ?? null,
+      }))
+      .filter((option) => option.text);
+
+    if (options.length === 0) {
+      return true;
     }
+
+    const endsAt = readPositiveNumber(pollObject.pollSettings?.endTime, pollObject.endTime);
+    poll = {
+      question: textOf(pollObject.question) || null,
+      options: withPercentages(options, totalVotes),
+      totalVotes,
+      isClosed:
+        typeof pollObject.closed === "boolean"
+          ? pollObject.closed
+          : Boolean(endsAt && endsAt < Date.now()),
+      closesAt: endsAt ? new Date(endsAt).toISOString() : null,
+      timeRemaining: null,
+    };
+    return false;
   });
 
-  return configs;
+  return poll;
 }
 
-function pickManifestUrl(documentConfig) {
-  const doc = documentConfig?.doc || {};
-  const candidates = [doc.manifestUrl, doc.url];
+function extractPollFromDom($) {
+  for (const containerSelector of POLL_CONTAINER_SELECTORS) {
+    const $poll = $(containerSelector).first();
+    if ($poll.length === 0) {
+      continue;
+    }
 
-  for (const candidate of candidates) {
-    const parsed = parseUrl(candidate);
-    if (
-      parsed &&
-      parsed.protocol === "https:" &&
-      isAllowedLinkedInMediaHost(parsed.hostname)
-    ) {
-      return parsed.toString();
+    let options = [];
+    for (const optionSelector of POLL_FIELD_SELECTORS.option) {
+      options = $poll
+        .find(optionSelector)
+        .toArray()
+        .map((element) => {
+          const $option = $(element);
+          const text =
+            normalizeWhitespace(findFirst($option, POLL_FIELD_SELECTORS.optionText)?.text()) ||
+            normalizeWhitespace($option.text()).replace(/\s*\d+(?:[.,]\d+)?\s*%$/, "");
+          const percentage = parsePercentage(
+            findFirst($option, POLL_FIELD_SELECTORS.optionPercentage)?.text() || $option.text(),
+          );
+          return { text, votes: null, percentage };
+        })
+        .filter((option) => option.text);
+
+      if (options.length > 0) {
+        break;
+      }
+    }
+
+    if (options.length === 0) {
+      continue;
     }
+
+    const summary = normalizeWhitespace(findFirst($poll, POLL_FIELD_SELECTORS.summary)?.text());
+    const totalVotes = parseCompactNumber(summary.match(/[\d.,٠-٩]+\s*[kmb]?\s*votes?/i)?.[0]);
+    const timeRemaining = summary.match(/\d+\s*\w+\s+left/i)?.[0] || null;
+
+    return {
+      question: normalizeWhitespace(findFirst($poll, POLL_FIELD_SELECTORS.question)?.text()) || null,
+      options: withPercentages(options, totalVotes),
+      totalVotes,
+      isClosed: /\b(?:closed|ended)\b/i.test(summary),
+      closesAt: null,
+      timeRemaining,
+    };
   }
 
   return null;
 }
 
-function pickImageManifestUrl(manifestPayload) {
-  const perResolutions = Array.isArray(manifestPayload?.perResolutions)
-    ? manifestPayload.perResolutions
-    : [];
+function extractPoll($) {
+  return extractPollFromJson($) || extractPollFromDom($);
+}
 
-  if (perResolutions.length === 0) {
+function attachmentTypeFromUrl(url) {
+  const parsed = parseUrl(url);
+  if (!parsed || !isLinkedInHostname(parsed.hostname)) {
     return null;
   }
 
-  const sorted = [...perResolutions].sort((a, b) => {
-    const widthA = Number(a?.width || 0);
-    const widthB = Number(b?.width || 0);
-    return widthA - widthB;
-  });
+  if (/^\/events\//i.test(parsed.pathname)) {
+    return "event";
+  }
 
-  const preferred = sorted.find((item) => Number(item?.width || 0) >= 480);
-  return preferred?.imageManifestUrl || sorted[sorted.length - 1]?.imageManifestUrl || null;
+  if (/^\/jobs\/view\//i.test(parsed.pathname)) {
+    return "job";
+  }
+
+  return null;
 }
 
-function buildRefererCandidates(preferredReferer) {
-  const candidates = [];
-  const normalizedPreferred = normalizeReferer(preferredReferer);
-  if (normalizedPreferred) {
-    candidates.push(normalizedPreferred);
+function attachmentDomain(url) {
+  const hostname = parseUrl(url)?.hostname?.toLowerCase();
+  if (!hostname) {
+    return null;
   }
 
-  for (const fallback of DEFAULT_LINKEDIN_REFERERS) {
-    const normalized = normalizeReferer(fallback);
-    if (normalized && !candidates.includes(normalized)) {
-      candidates.push(normalized);
-    }
+  return isLinkedInHostname(hostname) ? "linkedin.com" : hostname.replace(/^www\./, "");
+}
+
+function clipDescription(value) {
+  const text = normalizeWhitespace(value);
+  if (text.length <= MAX_ATTACHMENT_DESCRIPTION_LENGTH) {
+    return text || null;
   }
 
-  return candidates;
+  return `${text.slice(0, MAX_ATTACHMENT_DESCRIPTION_LENGTH - 1)}…`;
 }
 
-function normalizeReferer(refererValue) {
-  const parsed = parseUrl(refererValue);
-  if (!parsed || parsed.protocol !== "https:") {
+function cleanAttachmentUrl(urlValue) {
+  const parsed = parseUrl(decodeOutboundUrl(urlValue));
+  if (!parsed) {
     return null;
   }
 
-  return `${parsed.origin}/`;
+  // LinkedIn destinations only carry tracking parameters.
+  if (isLinkedInHostname(parsed.hostname)) {
+    parsed.search = "";
+    parsed.hash = "";
+  }
+
+  return parsed.toString();
 }
 
-async function fetchMediaJson(url, refererCandidates) {
-  let lastError = null;
+function buildAttachment(type, fields) {
+  const url = fields.url ? cleanAttachmentUrl(fields.url) : null;
+  const title = normalizeWhitespace(fields.title) || null;
+  if (!url && !title) {
+    return null;
+  }
 
-  for (const referer of refererCandidates) {
-    try {
-      const response = await fetchWithRedirectGuard(url, {
-        allowedHosts: isAllowedLinkedInMediaHost,
-        headers: {
-          ...BROWSER_HEADERS,
-          referer,
-          accept: "application/json,text/plain,*/*",
-        },
-        timeoutMs: 12_000,
-        maxRedirects: 2,
-      });
+  return {
+    type: attachmentTypeFromUrl(url) || type,
+    title,
+    subtitle: normalizeWhitespace(fields.subtitle) || null,
+    description: clipDescription(fields.description),
+    url,
+    domain: attachmentDomain(url),
+    thumbnailUrl: fields.thumbnailUrl || null,
+  };
+}
 
-      if (!response.ok) {
-        lastError = new Error(`Media JSON request returned ${response.status}`);
-        continue;
-      }
+function extractAttachmentsFromSchema(primarySchema) {
+  const attachments = [];
 
-      const payload = safeJsonParse(await response.text());
-      if (payload && typeof payload === "object") {
-        return payload;
-      }
+  for (const entry of toArray(primarySchema?.sharedContent)) {
+    if (!entry || typeof entry !== "object" || findSharedSchemaPost({ sharedContent: entry })) {
+      continue;
+    }
 
-      lastError = new Error("Media JSON response is not valid JSON");
-    } catch (error) {
-      lastError = error;
+    const schemaType = toArray(entry["@type"])
+      .map(String)
+      .find((type) => SCHEMA_ATTACHMENT_TYPES[type]);
+    const image = toArray(entry.image || entry.thumbnailUrl)[0];
+    const subtitle =
+      entry.hiringOrganization?.name ||
+      toIsoDate(entry.startDate)?.slice(0, 16).replace("T", " ") ||
+      null;
+
+    const attachment = buildAttachment(SCHEMA_ATTACHMENT_TYPES[schemaType] || "article", {
+      url: entry.url,
+      title: textOf(entry.headline || entry.name),
+      subtitle,
+      description: textOf(entry.description),
+      thumbnailUrl: typeof image === "string" ? image : image?.url || image?.contentUrl,
+    });
+    if (attachment) {
+      attachments.push(attachment);
     }
   }
 
-  throw lastError || new Error("Failed to fetch media JSON");
+  return attachments;
 }
 
-async function extractMediaFromNativeDocuments($, preferredReferer) {
-  const documentConfigs = extractNativeDocumentConfigs($);
-  if (documentConfigs.length === 0) {
-    return { imageUrls: [], videoUrls: [], documentUrls: [] };
+function findAttachmentLink($, $card) {
+  const anchors = $card.is("a[href]") ? [$card.get(0)] : $card.find("a[href]").toArray();
+  for (const anchor of anchors) {
+    const href = normalizeWhitespace($(anchor).attr("href"));
+    const resolvedHref = href.startsWith("/") ? `https://${LINKEDIN_HOST}${href}` : href;
+    if (resolvedHref && !normalizeProfileUrl(resolvedHref) && decodeOutboundUrl(resolvedHref)) {
+      return resolvedHref;
+    }
   }
 
-  const imageSet = new Set();
-  const documentSet = new Set();
-  const manifestSet = new Set();
-  let hasFullDocumentPages = false;
-  const referers = buildRefererCandidates(preferredReferer);
+  return null;
+}
 
-  for (const config of documentConfigs) {
-    const doc = config?.doc || {};
-    for (const page of toArray(doc.coverPages)) {
-      addCandidateUrl(imageSet, page?.config?.src);
-    }
+function extractAttachmentsFromDom($) {
+  const attachments = [];
+  const commentSelector = COMMENT_CONTAINER_SELECTORS.join(", ");
 
-    addCandidateUrl(documentSet, doc.transcribedDocumentUrl);
+  for (const [type, selectors] of Object.entries(ATTACHMENT_CARD_SELECTORS)) {
+    $(selectors.join(", ")).each((_, element) => {
+      const $card = $(element);
+      if ($card.closest(commentSelector).length > 0) {
+        return;
+      }
 
-    const manifestUrl = pickManifestUrl(config);
-    if (manifestUrl) {
-      manifestSet.add(manifestUrl);
-    }
+      const $image = $card.find("img").first();
+      const attachment = buildAttachment(type, {
+        url: findAttachmentLink($, $card),
+        title: findFirst($card, ATTACHMENT_FIELD_SELECTORS.title)?.text(),
+        subtitle: findFirst($card, ATTACHMENT_FIELD_SELECTORS.subtitle)?.text(),
+        description: findFirst($card, ATTACHMENT_FIELD_SELECTORS.description)?.text(),
+        thumbnailUrl: $image.length > 0 ? pickImageUrl($image) : null,
+      });
+      if (attachment) {
+        attachments.push(attachment);
+      }
+    });
   }
 
-  const manifests = [...manifestSet].slice(0, MAX_EMBED_FETCHES);
-  const limit = pLimit(EMBED_FETCH_CONCURRENCY);
-  const tasks = manifests.map((manifestUrl) =>
-    limit(async () => {
-      try {
-        const manifestPayload = await fetchMediaJson(manifestUrl, referers);
-        addCandidateUrl(documentSet, manifestPayload.transcribedDocumentUrl);
-        addCandidateUrl(documentSet, manifestPayload.downloadUrl);
+  return attachments;
+}
 
-        const imageManifestUrl = pickImageManifestUrl(manifestPayload);
-        if (!imageManifestUrl) {
-          return;
-        }
+function mergeAttachments(...lists) {
+  const merged = new Map();
 
-        const imageManifestPayload = await fetchMediaJson(imageManifestUrl, referers);
-        const manifestPages = toArray(imageManifestPayload.pages);
-        if (manifestPages.length > 0) {
-          hasFullDocumentPages = true;
-        }
-        for (const pageUrl of manifestPages) {
-          addCandidateUrl(imageSet, pageUrl);
-        }
-      } catch (error) {
-        logError("Failed to parse native document manifest", error, { manifestUrl });
-      }
-    }),
+  for (const attachment of lists.flat()) {
+    const key = attachment.url || `${attachment.type}:${attachment.title}`;
+    const existing = merged.get(key);
+    if (!existing) {
+      merged.set(key, attachment);
+      continue;
+    }
+
+    for (const [field, value] of Object.entries(attachment)) {
+      existing[field] ??= value;
+    }
+  }
+
+  return [...merged.values()].slice(0, MAX_ATTACHMENTS);
+}
+
+function extractAttachments($, primarySchema) {
+  return mergeAttachments(
+    extractAttachmentsFromSchema(primarySchema),
+    extractAttachmentsFromDom($),
   );
+}
 
-  await Promise.all(tasks);
+function addSchemaCandidate(urlSet, value) {
+  if (!value) {
+    return;
+  }
 
-  const filteredImages = [...imageSet].filter((url) => {
-    if (!hasFullDocumentPages) {
-      return true;
+  for (const entry of toArray(value)) {
+    if (!entry) {
+      continue;
     }
 
-    const pathname = parseUrl(url)?.pathname?.toLowerCase() || "";
-    if (pathname.includes("feedshare-document-cover-images_")) {
-      return false;
+    if (typeof entry === "string") {
+      addCandidateUrl(urlSet, entry);
+      continue;
     }
 
-    return true;
-  });
+    if (typeof entry === "object") {
+      addCandidateUrl(urlSet, entry.url);
+      addCandidateUrl(urlSet, entry.contentUrl);
+      addCandidateUrl(urlSet, entry.thumbnailUrl);
+    }
+  }
+}
+
+function extractMediaFromSchema(primarySchema) {
+  if (!primarySchema) {
+    return { imageUrls: [], videoUrls: [], documentUrls: [] };
+  }
+
+  const imageSet = new Set();
+  const videoSet = new Set();
+  const documentSet = new Set();
+
+  addSchemaCandidate(imageSet, primarySchema.image);
+  addSchemaCandidate(imageSet, primarySchema.thumbnailUrl);
+
+  addSchemaCandidate(videoSet, primarySchema.contentUrl);
+  addSchemaCandidate(videoSet, primarySchema.embedUrl);
+  addSchemaCandidate(videoSet, primarySchema.video);
+  addSchemaCandidate(videoSet, primarySchema.associatedMedia);
+
+  addSchemaCandidate(documentSet, primarySchema.url);
+  addSchemaCandidate(documentSet, primarySchema.encoding);
 
   return {
-    imageUrls: filteredImages
+    imageUrls: [...imageSet]
       .filter((url) => isLikelyImageMediaPath(parseUrl(url)?.pathname))
       .slice(0, MAX_MEDIA_COUNT),
-    videoUrls: [],
+    videoUrls: [...videoSet]
+      .filter((url) => isLikelyVideoMediaPath(parseUrl(url)?.pathname))
+      .slice(0, MAX_MEDIA_COUNT),
     documentUrls: [...documentSet]
       .filter((url) => isLikelyDocumentMediaPath(parseUrl(url)?.pathname))
       .slice(0, MAX_MEDIA_COUNT),
   };
 }
 
-function extractStyleUrls(styleValue) {
-  const urls = [];
-  const source = String(styleValue || "");
-  if (!source.includes("url(")) {
-    return urls;
+function addCandidateUrl(urlSet, rawUrl, validator = isAllowedLinkedInMediaUrl) {
+  const addedUrls = [];
+  const value = normalizeWhitespace(rawUrl);
+  if (!value) {
+    return addedUrls;
   }
 
-  const pattern = /url\((['"]?)(.*?)\1\)/gi;
-  let match;
-
-  // eslint-disable-next-line no-cond-assign
-  while ((match = pattern.exec(source)) !== null) {
-    if (match[2]) {
-      urls.push(match[2]);
+  const parts = value.includes(",") ? value.split(",") : [value];
+  for (const part of parts) {
+    const candidate = part.trim().split(/\s+/)[0];
+    if (!candidate) {
+      continue;
     }
-  }
+
+    try {
+      const parsed = new URL(candidate, "https://www.linkedin.com");
+      parsed.hash = "";
+      const normalized = parsed.toString();
+
+      if (validator(normalized)) {
+        if (urlSet.has(normalized)) {
+          continue;
+        }
+
+        urlSet.add(normalized);
+        addedUrls.push(normalized);
+      }
+    } catch {
+      continue;
+    }
+  }
+
+  return addedUrls;
+}
+
+function parseNumericDimension(value) {
+  if (!value) {
+    return null;
+  }
+
+  const parsed = Number.parseInt(String(value), 10);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    return null;
+  }
+
+  return parsed;
+}
+
+function hasAnyHint(value, hints) {
+  const normalized = String(value || "").toLowerCase();
+  return hints.some((hint) => normalized.includes(hint));
+}
+
+function isLikelyPostImageElement($, element, urlValue) {
+  const parsed = parseUrl(urlValue);
+  if (!parsed) {
+    return false;
+  }
+
+  const pathname = parsed.pathname.toLowerCase();
+  if (!pathname.includes("/dms/image/")) {
+    return false;
+  }
+
+  if (hasAnyHint(pathname, EXCLUDED_IMAGE_URL_HINTS)) {
+    return false;
+  }
+
+  const $element = $(element);
+  const classBlob = [
+    $element.attr("class"),
+    $element.parent().attr("class"),
+    $element.closest("[class]").attr("class"),
+  ]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+
+  if (hasAnyHint(classBlob, EXCLUDED_IMAGE_CLASS_HINTS)) {
+    return false;
+  }
+
+  const inKnownMediaContainer =
+    $element.closest(POST_MEDIA_CONTAINER_SELECTOR).length > 0;
+  const hasStrongClassSignal = hasAnyHint(classBlob, INCLUDED_IMAGE_CLASS_HINTS);
+
+  if (!inKnownMediaContainer && !hasStrongClassSignal) {
+    return false;
+  }
+
+  const width = parseNumericDimension($element.attr("width"));
+  const height = parseNumericDimension($element.attr("height"));
+  const tooSmall = (width !== null && width < 140) || (height !== null && height < 140);
+
+  if (tooSmall && !hasStrongClassSignal) {
+    return false;
+  }
+
+  return true;
+}
+
+function extractImageUrls($, trace = null, scope = "post") {
+  const imageSet = new Set();
+
+  for (const selector of POST_IMAGE_SELECTORS) {
+    $(selector).each((_, element) => {
+      const candidates = [
+        $(element).attr("src"),
+        $(element).attr("srcset"),
+        $(element).attr("data-delayed-url"),
+        $(element).attr("data-ghost-url"),
+      ];
+
+      for (const candidate of candidates) {
+        const addedUrls = addCandidateUrl(imageSet, candidate);
+        for (const addedUrl of addedUrls) {
+          if (!isLikelyPostImageElement($, element, addedUrl)) {
+            imageSet.delete(addedUrl);
+            traceDiscard(trace, scope, "image", addedUrl, "not-post-image");
+          }
+        }
+      }
+    });
+  }
+
+  return [...imageSet].slice(0, MAX_MEDIA_COUNT);
+}
+
+function isLikelyImageMediaPath(pathname) {
+  const normalized = String(pathname || "").toLowerCase();
+  if (!normalized.includes("/dms/image/")) {
+    return false;
+  }
+
+  return !hasAnyHint(normalized, EXCLUDED_IMAGE_URL_HINTS);
+}
+
+// `/dms/image/v2/<asset>/<variant>/<rest>`: the variant segment (e.g. `feedshare-shrink_800`)
+// and the signed query differ between renditions of the same picture.
+function describeImageVariant(urlValue) {
+  const parsed = parseUrl(urlValue);
+  const segments = parsed ? parsed.pathname.split("/").filter(Boolean) : [];
+  const imageIndex = segments.indexOf("image");
+  if (imageIndex < 1 || segments[imageIndex - 1] !== "dms") {
+    return { key: urlValue, size: 0 };
+  }
+
+  let assetIndex = imageIndex + 1;
+  if (/^v\d+$/.test(segments[assetIndex] || "")) {
+    assetIndex += 1;
+  }
+
+  // Renditions look like `<asset>/feedshare-shrink_800/feedshare-shrink_800/0/<ts>`: the
+  // variant name can repeat and the trailing timestamp differs per rendition, so neither
+  // is part of the key. Other segments stay, e.g. the page number of document images.
+  const rest = segments.slice(assetIndex + 1);
+  const match = rest
+    .map((segment) => segment.match(IMAGE_VARIANT_SIZE_PATTERN))
+    .find(Boolean);
+  const width = match ? Number(match[1]) : 0;
+  const height = match?.[2] ? Number(match[2]) : width;
+  const identity = rest.filter(
+    (segment, index) =>
+      !IMAGE_VARIANT_SIZE_PATTERN.test(segment) &&
+      !(index === rest.length - 1 && IMAGE_RENDITION_TIMESTAMP_PATTERN.test(segment)),
+  );
+
+  return {
+    key: [segments[assetIndex], ...identity].join("/"),
+    size: width * height,
+  };
+}
+
+function collapseImageVariants(urls, trace = null, scope = "post") {
+  const best = new Map();
+
+  for (const url of urls) {
+    const variant = describeImageVariant(url);
+    const current = best.get(variant.key);
+    if (!current) {
+      best.set(variant.key, { url, size: variant.size });
+      continue;
+    }
+
+    if (variant.size > current.size) {
+      traceDiscard(trace, scope, "image", current.url, "lower-resolution-variant");
+      current.url = url;
+      current.size = variant.size;
+    } else {
+      traceDiscard(trace, scope, "image", url, "lower-resolution-variant");
+    }
+  }
+
+  // Map insertion order keeps each asset where it first appeared (carousel order).
+  return [...best.values()].map((entry) => entry.url);
+}
+
+function isLikelyVideoMediaPath(pathname) {
+  const normalized = String(pathname || "").toLowerCase();
+  return (
+    normalized.includes("/dms/video/") ||
+    normalized.includes("/dms/videoplayback/") ||
+    normalized.includes("/playlist/vid/")
+  );
+}
+
+function isLikelyDocumentMediaPath(pathname) {
+  const normalized = String(pathname || "").toLowerCase();
+  return normalized.includes("/dms/document/");
+}
+
+function extractVideoUrls($) {
+  const videoSet = new Set();
+  const videoAttributeCandidates = [
+    "src",
+    "href",
+    "data-delayed-url",
+    "data-mp4-source-url",
+    "data-video-url",
+    "data-source-url",
+    "data-manifest-url",
+    "data-sources",
+    "data-player-config",
+    "style",
+  ];
+
+  for (const selector of POST_VIDEO_SELECTORS) {
+    $(selector).each((_, element) => {
+      for (const attrName of videoAttributeCandidates) {
+        const attrValue = $(element).attr(attrName);
+        addCandidateUrl(videoSet, attrValue);
+
+        const embeddedMatches = extractEmbeddedMediaUrls(attrValue, "video");
+        for (const match of embeddedMatches) {
+          addCandidateUrl(videoSet, match);
+        }
+      }
+
+      const elementHtml = $(element).html();
+      const htmlMatches = extractEmbeddedMediaUrls(elementHtml, "video");
+      for (const match of htmlMatches) {
+        addCandidateUrl(videoSet, match);
+      }
+    });
+  }
+
+  const scriptVideos = extractScriptMediaUrls($, "video");
+  for (const url of scriptVideos) {
+    videoSet.add(url);
+  }
+
+  if (videoSet.size === 0) {
+    addCandidateUrl(videoSet, $('meta[property="og:video"]').attr("content"));
+    addCandidateUrl(
+      videoSet,
+      $('meta[property="og:video:secure_url"]').attr("content"),
+    );
+  }
+
+  return [...videoSet]
+    .filter((url) => {
+      const pathname = parseUrl(url)?.pathname?.toLowerCase() || "";
+      return isLikelyVideoMediaPath(pathname);
+    })
+    .slice(0, MAX_MEDIA_COUNT);
+}
+
+function readPositiveNumber(...values) {
+  for (const value of values) {
+    const parsed = Number(value);
+    if (Number.isFinite(parsed) && parsed > 0) {
+      return parsed;
+    }
+  }
+
+  return null;
+}
+
+function videoAssetId(urlValue) {
+  const pathname = parseUrl(urlValue)?.pathname || "";
+  const match = pathname.match(
+    /\/(?:playlist\/vid|dms\/video(?:playback)?)\/(?:v2\/)?([^/]+)/i,
+  );
+  return match ? match[1] : pathname || String(urlValue);
+}
+
+function videoVariantFromUrl(urlValue) {
+  const pathname = parseUrl(urlValue)?.pathname?.toLowerCase() || "";
+  const resolution = pathname.match(/(?:^|[-/_])(\d{3,4})p(?:[-/_]|$)/)?.[1];
+
+  return {
+    url: urlValue,
+    assetId: videoAssetId(urlValue),
+    height: resolution ? Number(resolution) : null,
+    width: null,
+    bitrate: null,
+    mimeType: /\.webm$/.test(pathname) ? "video/webm" : null,
+    size: null,
+  };
+}
+
+function collectVideoSourceObjects(value, variants, inherited = {}) {
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      collectVideoSourceObjects(item, variants, inherited);
+    }
+    return;
+  }
+
+  if (!value || typeof value !== "object") {
+    return;
+  }
+
+  const durationMs = readPositiveNumber(value.durationInMs);
+  const duration =
+    readPositiveNumber(value.durationInSeconds) ||
+    (durationMs ? durationMs / 1000 : null) ||
+    inherited.duration;
+  const sourceUrl = VIDEO_SOURCE_URL_KEYS.map((key) => value[key]).find(
+    (candidate) => typeof candidate === "string",
+  );
+  const urlSet = new Set();
+  const [url] = sourceUrl ? addCandidateUrl(urlSet, decodeEscapedUrl(sourceUrl)) : [];
+
+  if (url && isLikelyVideoMediaPath(parseUrl(url)?.pathname)) {
+    const fromUrl = videoVariantFromUrl(url);
+    const bitrate = readPositiveNumber(
+      value.bitrate,
+      value.bitRate,
+      value["data-bitrate"],
+      value.averageBitrate,
+    );
+    const size = readPositiveNumber(value.size, value.fileSize, value.contentLength);
+
+    variants.push({
+      ...fromUrl,
+      width: readPositiveNumber(value.width) || fromUrl.width,
+      height: readPositiveNumber(value.height) || fromUrl.height,
+      bitrate,
+      mimeType: typeof value.type === "string" ? value.type : fromUrl.mimeType,
+      // Estimate from bitrate and duration when the player does not declare a size.
+      size: size || (bitrate && duration ? Math.round((bitrate * duration) / 8) : null),
+    });
+  }
+
+  for (const nested of Object.values(value)) {
+    if (nested && typeof nested === "object") {
+      collectVideoSourceObjects(nested, variants, { duration });
+    }
+  }
+}
+
+function extractVideoVariantMetadata($) {
+  const variants = [];
+
+  $("[data-sources], [data-player-config]").each((_, element) => {
+    for (const attr of ["data-sources", "data-player-config"]) {
+      const raw = $(element).attr(attr);
+      if (!raw) {
+        continue;
+      }
+
+      const parsed = safeJsonParse(raw) || safeJsonParse(decodeHtmlEntities(raw));
+      collectVideoSourceObjects(parsed, variants);
+    }
+  });
+
+  return new Map(variants.map((variant) => [variant.url, variant]));
+}
+
+function compareVideoVariants(a, b) {
+  return (
+    (b.height || b.width || 0) - (a.height || a.width || 0) ||
+    (b.bitrate || 0) - (a.bitrate || 0) ||
+    (b.size || 0) - (a.size || 0)
+  );
+}
+
+async function probeVideoSize(urlValue, preferredReferer, trace = null, deadline = null) {
+  const probeDeadline = deadline ?? Date.now() + VIDEO_PROBE_BUDGET_MS;
+  for (const referer of buildRefererCandidates(preferredReferer)) {
+    const timeoutMs = probeDeadline - Date.now();
+    if (timeoutMs <= 0) {
+      return null;
+    }
+
+    try {
+      const response = await fetchWithRedirectGuard(urlValue, {
+        allowedHosts: isAllowedLinkedInMediaHost,
+        method: "HEAD",
+        headers: {
+          ...MEDIA_HEADERS,
+          referer,
+        },
+        timeoutMs,
+        maxRedirects: 2,
+      });
+
+      const size = readPositiveNumber(response.headers.get("content-length"));
+      traceFetch(trace, urlValue, { purpose: "video-size", status: response.status, size });
+      if (response.ok) {
+        return size;
+      }
+    } catch (error) {
+      logError("Video size probe failed", error, { url: urlValue });
+      return null;
+    }
+  }
+
+  return null;
+}
+
+async function selectVideoVariants(videoUrls, metadata, options = {}) {
+  const { maxBytes = TELEGRAM_UPLOAD_LIMIT_BYTES, referer, trace, scope } = options;
+  const groups = new Map();
+
+  for (const url of videoUrls) {
+    const variant = metadata.get(url) || videoVariantFromUrl(url);
+    if (!groups.has(variant.assetId)) {
+      groups.set(variant.assetId, []);
+    }
+    groups.get(variant.assetId).push(variant);
+  }
+
+  const rankedGroups = [...groups.values()].map((variants) =>
+    [...variants].sort(compareVideoVariants),
+  );
+
+  // All probes run at once under one shared deadline so sizing never eats the function budget.
+  const deadline = Date.now() + VIDEO_PROBE_BUDGET_MS;
+  const probedSizes = new Map();
+  await Promise.all(
+    rankedGroups.flatMap((ranked) =>
+      ranked
+        .filter((variant) => !variant.size)
+        .slice(0, MAX_VIDEO_SIZE_PROBES)
+        .map(async (variant) => {
+          probedSizes.set(variant.url, await probeVideoSize(variant.url, referer, trace, deadline));
+        }),
+    ),
+  );
+
+  const selected = [];
+  for (const ranked of rankedGroups) {
+    let choice = null;
+
+    for (const variant of ranked) {
+      const size = variant.size || probedSizes.get(variant.url) || null;
+      if (!size || size <= maxBytes) {
+        choice = variant;
+        break;
+      }
+    }
+
+    // Nothing fits: keep the lightest rendition so the caller can still report it.
+    const picked = choice || ranked[ranked.length - 1];
+    selected.push(picked.url);
+
+    for (const variant of ranked) {
+      if (variant !== picked) {
+        traceDiscard(trace, scope, "video", variant.url, "video-variant-not-selected");
+      }
+    }
+  }
+
+  return selected;
+}
+
+function decodeEscapedUrl(urlValue) {
+  return String(urlValue)
+    .replace(/\\u002F/gi, "/")
+    .replace(/\\\//g, "/")
+    .replace(/&amp;/g, "&");
+}
+
+function extractEmbeddedMediaUrls(rawValue, kind) {
+  const source = decodeEscapedUrl(rawValue || "");
+  if (!source) {
+    return [];
+  }
+
+  const patterns = [
+    new RegExp(`https://[a-z0-9.-]+/dms/${kind}[^"'\\s<>,]*`, "gi"),
+  ];
+
+  if (kind === "video") {
+    patterns.push(
+      /https:\/\/[a-z0-9.-]+\/dms\/videoplayback[^"'\s<>,]*/gi,
+      /https:\/\/[a-z0-9.-]+\/playlist\/vid\/[^"'\s<>,]*/gi,
+      /https:\/\/[a-z0-9.-]+\/dms\/video\/[^"'\s<>,]*\.(mp4|mov|webm|mpeg)(\?[^"'\s<>,]*)?/gi,
+    );
+  }
+
+  const matches = [];
+  for (const pattern of patterns) {
+    matches.push(...(source.match(pattern) || []));
+  }
+
+  return [...new Set(matches)];
+}
+
+function extractScriptMediaUrls($, kind) {
+  const mediaSet = new Set();
+  const kinds = kind === "video" ? ["video", "videoplayback"] : [kind];
+
+  $("script").each((_, element) => {
+    const scriptBody = $(element).html();
+    if (!scriptBody || scriptBody.length > 2_000_000) {
+      return;
+    }
+
+    for (const mediaKind of kinds) {
+      const escapedPattern = new RegExp(
+        `https:\\\\\\/\\\\\\/[a-z0-9.-]+\\\\\\/dms\\\\\\/${mediaKind}[^"\\\\\\s<]*`,
+        "gi",
+      );
+      const plainPattern = new RegExp(
+        `https://[a-z0-9.-]+/dms/${mediaKind}[^"'\\s<]*`,
+        "gi",
+      );
+      const matches = [
+        ...(scriptBody.match(escapedPattern) || []),
+        ...(scriptBody.match(plainPattern) || []),
+      ];
+
+      for (const match of matches) {
+        addCandidateUrl(mediaSet, decodeEscapedUrl(match));
+      }
+    }
+
+    if (kind === "video") {
+      const playlistMatches = [
+        ...(scriptBody.match(
+          /https:\\\/\\\/[a-z0-9.-]+\\\/playlist\\\/vid[^"\\\s<]*/gi,
+        ) || []),
+        ...(scriptBody.match(
+          /https:\/\/[a-z0-9.-]+\/playlist\/vid[^"'\s<]*/gi,
+        ) || []),
+      ];
+
+      for (const match of playlistMatches) {
+        addCandidateUrl(mediaSet, decodeEscapedUrl(match));
+      }
+    }
+  });
+
+  return mediaSet;
+}
+
+function extractDocumentUrls($) {
+  const documentSet = new Set();
+
+  for (const selector of POST_DOCUMENT_SELECTORS) {
+    $(selector).each((_, element) => {
+      addCandidateUrl(documentSet, $(element).attr("href"));
+      addCandidateUrl(documentSet, $(element).attr("data-document-url"));
+      addCandidateUrl(documentSet, $(element).attr("src"));
+    });
+  }
+
+  if (documentSet.size === 0) {
+    const scriptDocuments = extractScriptMediaUrls($, "document");
+    for (const url of scriptDocuments) {
+      documentSet.add(url);
+    }
+  }
+
+  return [...documentSet]
+    .filter((url) => {
+      const pathname = parseUrl(url)?.pathname?.toLowerCase() || "";
+      return isLikelyDocumentMediaPath(pathname);
+    })
+    .slice(0, MAX_MEDIA_COUNT);
+}
+
+function extractNativeDocumentConfigs($) {
+  const configs = [];
+
+  $("[data-native-document-config]").each((_, element) => {
+    const rawConfig = $(element).attr("data-native-document-config");
+    if (!rawConfig) {
+      return;
+    }
+
+    const parsed =
+      safeJsonParse(rawConfig) || safeJsonParse(decodeHtmlEntities(rawConfig));
+    if (parsed && typeof parsed === "object") {
+      configs.push(parsed);
+    }
+  });
+
+  return configs;
+}
+
+function pickManifestUrl(documentConfig) {
+  const doc = documentConfig?.doc || {};
+  const candidates = [doc.manifestUrl, doc.url];
+
+  for (const candidate of candidates) {
+    const parsed = parseUrl(candidate);
+    if (
+      parsed &&
+      parsed.protocol === "https:" &&
+      isAllowedLinkedInMediaHost(parsed.hostname)
+    ) {
+      return parsed.toString();
+    }
+  }
+
+  return null;
+}
+
+function pickImageManifestUrl(manifestPayload) {
+  const perResolutions = Array.isArray(manifestPayload?.perResolutions)
+    ? manifestPayload.perResolutions
+    : [];
+
+  if (perResolutions.length === 0) {
+    return null;
+  }
+
+  const sorted = [...perResolutions].sort((a, b) => {
+    const widthA = Number(a?.width || 0);
+    const widthB = Number(b?.width || 0);
+    return widthA - widthB;
+  });
+
+  const preferred = sorted.find((item) => Number(item?.width || 0) >= 480);
+  return preferred?.imageManifestUrl || sorted[sorted.length - 1]?.imageManifestUrl || null;
+}
+
+function buildRefererCandidates(preferredReferer) {
+  const candidates = [];
+  const normalizedPreferred = normalizeReferer(preferredReferer);
+  if (normalizedPreferred) {
+    candidates.push(normalizedPreferred);
+  }
+
+  for (const fallback of DEFAULT_LINKEDIN_REFERERS) {
+    const normalized = normalizeReferer(fallback);
+    if (normalized && !candidates.includes(normalized)) {
+      candidates.push(normalized);
+    }
+  }
+
+  return candidates;
+}
+
+function normalizeReferer(refererValue) {
+  const parsed = parseUrl(refererValue);
+  if (!parsed || parsed.protocol !== "https:") {
+    return null;
+  }
+
+  return `${parsed.origin}/`;
+}
+
+async function fetchMediaJson(url, refererCandidates, trace = null) {
+  let lastError = null;
+
+  for (const referer of refererCandidates) {
+    try {
+      const response = await fetchWithRedirectGuard(url, {
+        allowedHosts: isAllowedLinkedInMediaHost,
+        headers: {
+          ...BROWSER_HEADERS,
+          referer,
+          accept: "application/json,text/plain,*/*",
+        },
+        timeoutMs: 12_000,
+        maxRedirects: 2,
+      });
+
+      traceFetch(trace, url, { purpose: "media-json", status: response.status });
+      if (!response.ok) {
+        lastError = errorFromResponse(response, "Media JSON request failed");
+        continue;
+      }
+
+      const payload = safeJsonParse(await readResponseText(response, MAX_HTML_BYTES));
+      if (payload && typeof payload === "object") {
+        return payload;
+      }
+
+      lastError = new Error("Media JSON response is not valid JSON");
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw lastError || new Error("Failed to fetch media JSON");
+}
+
+async function extractMediaFromNativeDocuments($, preferredReferer, trace = null) {
+  const documentConfigs = extractNativeDocumentConfigs($);
+  if (documentConfigs.length === 0) {
+    return { imageUrls: [], videoUrls: [], documentUrls: [], documentCarousels: [] };
+  }
+
+  const imageSet = new Set();
+  const documentSet = new Set();
+  const manifestTitles = new Map();
+  let hasFullDocumentPages = false;
+  const referers = buildRefererCandidates(preferredReferer);
+
+  for (const config of documentConfigs) {
+    const doc = config?.doc || {};
+    for (const page of toArray(doc.coverPages)) {
+      addCandidateUrl(imageSet, page?.config?.src);
+    }
+
+    addCandidateUrl(documentSet, doc.transcribedDocumentUrl);
+
+    const manifestUrl = pickManifestUrl(config);
+    if (manifestUrl && !manifestTitles.has(manifestUrl)) {
+      manifestTitles.set(manifestUrl, normalizeWhitespace(doc.title) || null);
+    }
+  }
+
+  const manifests = [...manifestTitles.keys()].slice(0, MAX_EMBED_FETCHES);
+  const limit = pLimit(EMBED_FETCH_CONCURRENCY);
+  const tasks = manifests.map((manifestUrl) =>
+    limit(async () => {
+      const carousel = { title: manifestTitles.get(manifestUrl), pageUrls: [] };
+      const pageSet = new Set();
+
+      try {
+        const manifestPayload = await fetchMediaJson(manifestUrl, referers, trace);
+        addCandidateUrl(documentSet, manifestPayload.transcribedDocumentUrl);
+        addCandidateUrl(documentSet, manifestPayload.downloadUrl);
+
+        carousel.title = carousel.title || normalizeWhitespace(manifestPayload.title) || null;
+
+        const imageManifestUrl = pickImageManifestUrl(manifestPayload);
+        if (!imageManifestUrl) {
+          return carousel;
+        }
+
+        const imageManifestPayload = await fetchMediaJson(imageManifestUrl, referers, trace);
+        const manifestPages = toArray(imageManifestPayload.pages);
+        if (manifestPages.length > 0) {
+          hasFullDocumentPages = true;
+        }
+        for (const pageUrl of manifestPages) {
+          addCandidateUrl(imageSet, pageUrl);
+          addCandidateUrl(pageSet, pageUrl);
+        }
+        carousel.pageUrls = [...pageSet];
+      } catch (error) {
+        logError("Failed to parse native document manifest", error, { manifestUrl });
+      }
+
+      return carousel;
+    }),
+  );
+
+  const carousels = await Promise.all(tasks);
+  const documentUrls = [...documentSet]
+    .filter((url) => isLikelyDocumentMediaPath(parseUrl(url)?.pathname))
+    .slice(0, MAX_MEDIA_COUNT);
+
+  // Without a downloadable PDF, page images are rebuilt into one PDF per document
+  // instead of being sent as loose images.
+  const documentCarousels =
+    documentUrls.length === 0
+      ? carousels
+          .map((carousel) => ({
+            ...carousel,
+            pageUrls: carousel.pageUrls.filter((url) =>
+              isLikelyImageMediaPath(parseUrl(url)?.pathname),
+            ),
+          }))
+          .filter((carousel) => carousel.pageUrls.length > 0)
+      : [];
+  const carouselPageUrls = new Set(documentCarousels.flatMap((item) => item.pageUrls));
+
+  const filteredImages = [...imageSet].filter((url) => {
+    if (carouselPageUrls.has(url)) {
+      return false;
+    }
+
+    if (!hasFullDocumentPages) {
+      return true;
+    }
+
+    const pathname = parseUrl(url)?.pathname?.toLowerCase() || "";
+    if (pathname.includes("feedshare-document-cover-images_")) {
+      return false;
+    }
+
+    return true;
+  });
+
+  return {
+    imageUrls: filteredImages
+      .filter((url) => isLikelyImageMediaPath(parseUrl(url)?.pathname))
+      .slice(0, MAX_MEDIA_COUNT),
+    videoUrls: [],
+    documentUrls,
+    documentCarousels,
+  };
+}
+
+function extractStyleUrls(styleValue) {
+  const urls = [];
+  const source = String(styleValue || "");
+  if (!source.includes("url(")) {
+    return urls;
+  }
+
+  const pattern = /url\((['"]?)(.*?)\1\)/gi;
+  let match;
+
+  // eslint-disable-next-line no-cond-assign
+  while ((match = pattern.exec(source)) !== null) {
+    if (match[2]) {
+      urls.push(match[2]);
+    }
+  }
 
   return urls;
 }
 
-function extractEmbedFrameUrls($) {
-  const frameSet = new Set();
-  const attributes = ["src", "data-document-url", "data-embed-url", "href"];
+function extractEmbedFrameUrls($) {
+  const frameSet = new Set();
+  const attributes = ["src", "data-document-url", "data-embed-url", "href"];
+
+  for (const selector of EMBED_FRAME_SELECTORS) {
+    $(selector).each((_, element) => {
+      for (const attr of attributes) {
+        addCandidateUrl(frameSet, $(element).attr(attr));
+      }
+    });
+  }
+
+  return [...frameSet]
+    .filter((url) => {
+      const parsed = parseUrl(url);
+      if (!parsed) {
+        return false;
+      }
+
+      return (
+        isAllowedLinkedInMediaUrl(url) &&
+        parsed.pathname.toLowerCase().includes("/embeds/")
+      );
+    })
+    .slice(0, MAX_EMBED_FETCHES);
+}
+
+function extractMediaFromEmbedDom($) {
+  const candidateSet = new Set();
+  const selectors = [
+    "img",
+    "source",
+    "video",
+    "a",
+    "iframe",
+    "[style]",
+    "[data-src]",
+    "[data-sources]",
+    "[data-player-config]",
+    "[data-video-url]",
+    "[data-document-url]",
+    "[data-slide-image-url]",
+    "[data-carousel-image-url]",
+  ];
+  const attributes = [
+    "src",
+    "srcset",
+    "href",
+    "data-src",
+    "data-delayed-url",
+    "data-ghost-url",
+    "data-lazy-src",
+    "data-thumb-url",
+    "data-url",
+    "data-document-url",
+    "data-video-url",
+    "data-slide-image-url",
+    "data-carousel-image-url",
+    "data-mp4-source-url",
+    "data-source-url",
+    "data-manifest-url",
+    "data-sources",
+    "data-player-config",
+    "style",
+  ];
+
+  $(selectors.join(", ")).each((_, element) => {
+    for (const attr of attributes) {
+      const value = $(element).attr(attr);
+      if (!value) {
+        continue;
+      }
+
+      addCandidateUrl(candidateSet, value);
+
+      for (const styleUrl of extractStyleUrls(value)) {
+        addCandidateUrl(candidateSet, styleUrl);
+      }
+
+      for (const kind of ["image", "video", "document"]) {
+        const embeddedUrls = extractEmbeddedMediaUrls(value, kind);
+        for (const embeddedUrl of embeddedUrls) {
+          addCandidateUrl(candidateSet, embeddedUrl);
+        }
+      }
+    }
+  });
+
+  for (const kind of ["image", "video", "document"]) {
+    const scriptUrls = extractScriptMediaUrls($, kind);
+    for (const url of scriptUrls) {
+      candidateSet.add(url);
+    }
+  }
+
+  const imageSet = new Set();
+  const videoSet = new Set();
+  const documentSet = new Set();
+
+  for (const url of candidateSet) {
+    const pathname = parseUrl(url)?.pathname?.toLowerCase() || "";
+
+    if (isLikelyImageMediaPath(pathname)) {
+      imageSet.add(url);
+      continue;
+    }
+
+    if (isLikelyVideoMediaPath(pathname)) {
+      videoSet.add(url);
+      continue;
+    }
+
+    if (isLikelyDocumentMediaPath(pathname)) {
+      documentSet.add(url);
+    }
+  }
+
+  return {
+    imageUrls: [...imageSet].slice(0, MAX_MEDIA_COUNT),
+    videoUrls: [...videoSet].slice(0, MAX_MEDIA_COUNT),
+    documentUrls: [...documentSet].slice(0, MAX_MEDIA_COUNT),
+  };
+}
+
+async function extractMediaFromEmbeds($, preferredReferer, trace = null) {
+  const frameUrls = extractEmbedFrameUrls($);
+  if (frameUrls.length === 0) {
+    return { imageUrls: [], videoUrls: [], documentUrls: [] };
+  }
+
+  const referers = buildRefererCandidates(preferredReferer);
+  const limit = pLimit(EMBED_FETCH_CONCURRENCY);
+  const tasks = frameUrls.map((frameUrl) =>
+    limit(async () => {
+      try {
+        let response = null;
+        for (const referer of referers) {
+          const candidate = await fetchWithRedirectGuard(frameUrl, {
+            allowedHosts: isAllowedLinkedInMediaHost,
+            headers: {
+              ...BROWSER_HEADERS,
+              referer,
+            },
+            timeoutMs: 12_000,
+            maxRedirects: 2,
+          });
+
+          traceFetch(trace, frameUrl, { purpose: "embed-frame", status: candidate.status });
+          if (candidate.ok) {
+            response = candidate;
+            break;
+          }
+        }
+
+        if (!response) {
+          throw new Error("Embed fetch failed with all referers");
+        }
+
+        const html = await readResponseText(response, MAX_HTML_BYTES);
+        const $embed = cheerio.load(html);
+        return extractMediaFromEmbedDom($embed);
+      } catch (error) {
+        logError("Failed to parse embed frame", error, { frameUrl });
+        return { imageUrls: [], videoUrls: [], documentUrls: [] };
+      }
+    }),
+  );
+
+  const settled = await Promise.all(tasks);
+  const imageSet = new Set();
+  const videoSet = new Set();
+  const documentSet = new Set();
+
+  for (const result of settled) {
+    for (const url of result.imageUrls) {
+      imageSet.add(url);
+    }
+    for (const url of result.videoUrls) {
+      videoSet.add(url);
+    }
+    for (const url of result.documentUrls) {
+      documentSet.add(url);
+    }
+  }
+
+  return {
+    imageUrls: [...imageSet].slice(0, MAX_MEDIA_COUNT),
+    videoUrls: [...videoSet].slice(0, MAX_MEDIA_COUNT),
+    documentUrls: [...documentSet].slice(0, MAX_MEDIA_COUNT),
+  };
+}
+
+function extractOgImageFallback($) {
+  const ogSet = new Set();
+  addCandidateUrl(ogSet, $('meta[property="og:image"]').attr("content"));
+  addCandidateUrl(ogSet, $('meta[property="og:image:secure_url"]').attr("content"));
+
+  const ogImages = [...ogSet].filter((url) => {
+    const pathname = parseUrl(url)?.pathname?.toLowerCase() || "";
+    return isLikelyImageMediaPath(pathname);
+  });
+
+  return collapseImageVariants(ogImages).slice(0, MAX_MEDIA_COUNT);
+}
+
+function extensionFromUrl(urlValue) {
+  try {
+    const pathname = new URL(urlValue).pathname;
+    const match = pathname.match(/\.([a-z0-9]{2,5})$/i);
+    if (!match) {
+      return null;
+    }
+
+    return match[1].toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+function inferMediaType(requestedType, mimeType, sourceUrl) {
+  const normalizedMime = String(mimeType || "").toLowerCase();
+  const pathname = parseUrl(sourceUrl)?.pathname?.toLowerCase() || "";
+
+  if (normalizedMime.startsWith("text/html")) {
+    return null;
+  }
+
+  if (normalizedMime.startsWith("image/")) {
+    return "image";
+  }
+
+  if (normalizedMime.startsWith("video/")) {
+    return "video";
+  }
+
+  if (normalizedMime === "application/pdf") {
+    return "document";
+  }
+
+  if (pathname.includes("/dms/document/") || pathname.endsWith(".pdf")) {
+    return "document";
+  }
+
+  if (
+    pathname.includes("/dms/video/") ||
+    pathname.includes("/dms/videoplayback/") ||
+    pathname.includes("/playlist/vid/") ||
+    /\.(mp4|mov|webm|mpeg)$/i.test(pathname)
+  ) {
+    return "video";
+  }
+
+  if (pathname.includes("/dms/image/")) {
+    return "image";
+  }
+
+  if (
+    (normalizedMime === "" || normalizedMime === "application/octet-stream") &&
+    (requestedType === "image" ||
+      requestedType === "video" ||
+      requestedType === "document")
+  ) {
+    return requestedType;
+  }
+
+  return null;
+}
+
+function mediaFilename(index, mediaType, mimeType, sourceUrl) {
+  const mime = mimeType.split(";")[0].trim().toLowerCase();
+  const ext = MIME_TO_EXTENSION[mime] || extensionFromUrl(sourceUrl) || "jpg";
+  return `linkedin-${mediaType}-${index + 1}.${ext}`;
+}
+
+function resolvePostUrl(urlValue) {
+  const value = normalizeWhitespace(urlValue);
+  if (!value) {
+    return null;
+  }
+
+  const urn = value.match(/^urn:li:(activity|share|ugcPost):\d+$/)?.[0];
+  const candidate = urn
+    ? `https://${LINKEDIN_HOST}/feed/update/${urn}/`
+    : value.startsWith("/")
+      ? `https://${LINKEDIN_HOST}${value}`
+      : value;
+  const normalized = normalizeLinkedInUrl(candidate);
+  return normalized && isValidLinkedInPostUrl(normalized) ? normalized : null;
+}
+
+function extractResharedUrl($, $block, sharedSchema) {
+  const candidates = [
+    sharedSchema?.url,
+    sharedSchema?.["@id"],
+    $block.attr("data-urn"),
+    $block.attr("data-activity-urn"),
+    $block.find("[data-urn]").first().attr("data-urn"),
+  ];
+
+  $block.find("a[href]").each((_, element) => {
+    candidates.push($(element).attr("href"));
+  });
+
+  for (const candidate of candidates) {
+    const resolved = resolvePostUrl(candidate);
+    if (resolved) {
+      return resolved;
+    }
+  }
+
+  return null;
+}
+
+function findSharedSchemaPost(primarySchema) {
+  // Shared external articles also use the Article type; only LinkedIn posts are reshares.
+  return (
+    toArray(primarySchema?.sharedContent).find(
+      (entry) => isPostSchemaObject(entry) && (!entry.url || resolvePostUrl(entry.url)),
+    ) || null
+  );
+}
+
+async function extractInlineReshare($, primarySchema, preferredReferer, options) {
+  const sharedSchema = findSharedSchemaPost(primarySchema);
+  let $block = null;
+
+  for (const selector of RESHARE_CONTAINER_SELECTORS) {
+    const $match = $(selector).first();
+    if ($match.length > 0) {
+      $block = $match;
+      break;
+    }
+  }
+
+  if (!$block && !sharedSchema) {
+    return null;
+  }
+
+  const url = $block
+    ? extractResharedUrl($, $block, sharedSchema)
+    : resolvePostUrl(sharedSchema?.url);
+  const $reshare = cheerio.load($block ? $.html($block) : "");
+
+  // Remove the nested update so the wrapper extractors only see the repost's own content.
+  $block?.remove();
+
+  const $commentary = findCommentaryElement($reshare, RESHARE_TEXT_SELECTORS);
+  const text =
+    extractTextFromSchema(sharedSchema) ||
+    ($commentary ? extractRichText($reshare, $commentary).text : "");
+  const postUrn = extractLinkedInPostUrn(url);
+  const media = await extractPostMedia($reshare, sharedSchema, preferredReferer, {
+    ...options,
+    traceScope: "reshare",
+  });
+
+  return {
+    url,
+    postUrn,
+    text,
+    entities: extractTextEntities($reshare, text, RESHARE_TEXT_SELECTORS),
+    author: extractAuthor($reshare, sharedSchema),
+    publishedAt: extractPublishedAtFromSchema(sharedSchema) || decodeUrnTimestamp(postUrn),
+    attachments: extractAttachments($reshare, sharedSchema),
+    ...media,
+    preferredReferer: extractPostReferer(url) || preferredReferer,
+    source: "inline",
+  };
+}
+
+async function resolveResharedPost(inlineReshare, options) {
+  if (!inlineReshare) {
+    return null;
+  }
+
+  const hasInlineContent =
+    inlineReshare.text || hasAnyMedia(inlineReshare) || inlineReshare.attachments.length > 0;
+
+  if (hasInlineContent || !inlineReshare.url) {
+    return hasInlineContent ? inlineReshare : null;
+  }
+
+  try {
+    const original = await scrapeOnce(inlineReshare.url, {
+      ...options,
+      maxComments: 0,
+      includeReshare: false,
+      traceScope: "reshare",
+      health: null,
+    });
+
+    return {
+      url: inlineReshare.url,
+      postUrn: original.postUrn || inlineReshare.postUrn,
+      text: original.text,
+      entities: original.entities,
+      author: original.author || inlineReshare.author,
+      publishedAt: original.publishedAt || inlineReshare.publishedAt,
+      attachments: original.attachments,
+      imageUrls: original.imageUrls,
+      videoUrls: original.videoUrls,
+      documentUrls: original.documentUrls,
+      documentCarousels: original.documentCarousels,
+      preferredReferer: original.preferredReferer,
+      source: "fetched",
+    };
+  } catch (error) {
+    logError("Failed to scrape reshared post", error, { url: inlineReshare.url });
+    return null;
+  }
+}
+
+function hasAnyMedia(media) {
+  if (!media) {
+    return false;
+  }
+
+  return (
+    media.imageUrls.length > 0 ||
+    media.videoUrls.length > 0 ||
+    media.documentUrls.length > 0 ||
+    (media.documentCarousels?.length ?? 0) > 0
+  );
+}
+
+async function collectMediaCandidates(context) {
+  const candidates = [];
+  const documentCarousels = [];
+
+  for (const extractor of MEDIA_EXTRACTORS) {
+    const result = await extractor.run(context);
+    for (const [field, kind] of Object.entries(MEDIA_CANDIDATE_KINDS)) {
+      for (const url of result[field] || []) {
+        candidates.push({
+          kind,
+          url,
+          source: extractor.name,
+          confidence: extractor.confidence,
+        });
+      }
+    }
+
+    documentCarousels.push(...(result.documentCarousels || []));
+  }
+
+  traceCandidates(context.trace, context.scope, candidates);
+  return { candidates, documentCarousels };
+}
+
+function rankMediaCandidates(candidates, kind) {
+  const ranked = new Map();
+
+  candidates.forEach((candidate, index) => {
+    if (candidate.kind !== kind) {
+      return;
+    }
+
+    const existing = ranked.get(candidate.url);
+    if (!existing) {
+      ranked.set(candidate.url, {
+        url: candidate.url,
+        confidence: candidate.confidence,
+        sources: [candidate.source],
+        index,
+      });
+      return;
+    }
+
+    existing.confidence = Math.max(existing.confidence, candidate.confidence);
+    if (!existing.sources.includes(candidate.source)) {
+      existing.sources.push(candidate.source);
+    }
+  });
+
+  return [...ranked.values()].sort(
+    (left, right) => right.confidence - left.confidence || left.index - right.index,
+  );
+}
+
+function takeRankedUrls(ranked, trace, scope, kind) {
+  for (const entry of ranked.slice(MAX_MEDIA_COUNT)) {
+    traceDiscard(trace, scope, kind, entry.url, "media-limit");
+  }
+
+  return ranked.slice(0, MAX_MEDIA_COUNT);
+}
+
+function describeMediaSources(ranked, selectedUrls) {
+  const selected = new Set(selectedUrls);
+  return ranked
+    .filter((entry) => selected.has(entry.url))
+    .map(({ url, confidence, sources }) => ({ url, confidence, sources }));
+}
+
+async function extractPostMedia($, primarySchema, preferredReferer, options = {}) {
+  const { trace = null, traceScope: scope = "post" } = options;
+  const { candidates, documentCarousels: foundCarousels } = await collectMediaCandidates({
+    $,
+    primarySchema,
+    preferredReferer,
+    trace,
+    scope,
+  });
+
+  const rankedImages = rankMediaCandidates(candidates, "image");
+  const rankedVideos = rankMediaCandidates(candidates, "video");
+  const rankedDocuments = rankMediaCandidates(candidates, "document");
+  const imageUrls = collapseImageVariants(
+    rankedImages.map((entry) => entry.url),
+    trace,
+    scope,
+  );
+  const documentUrls = takeRankedUrls(rankedDocuments, trace, scope, "document").map(
+    (entry) => entry.url,
+  );
+
+  const videoUrls = await selectVideoVariants(
+    takeRankedUrls(rankedVideos, trace, scope, "video").map((entry) => entry.url),
+    extractVideoVariantMetadata($),
+    { maxBytes: options.maxVideoBytes, referer: preferredReferer, trace, scope },
+  );
+
+  let documentCarousels = foundCarousels;
+  if (documentUrls.length > 0) {
+    // A real PDF turned up elsewhere on the page; send it and keep the pages as images.
+    for (const carousel of documentCarousels) {
+      traceDiscard(trace, scope, "carousel", carousel.title, "pdf-available");
+      for (const url of carousel.pageUrls) {
+        if (!imageUrls.includes(url)) {
+          imageUrls.push(url);
+          rankedImages.push({ url, confidence: 0.7, sources: ["native-document"] });
+        }
+      }
+    }
+    documentCarousels = [];
+  }
+
+  const keptImages = imageUrls.filter((url) => {
+    if (documentCarousels.length === 0) {
+      return true;
+    }
+
+    const pathname = parseUrl(url)?.pathname?.toLowerCase() || "";
+    if (pathname.includes("feedshare-document")) {
+      traceDiscard(trace, scope, "image", url, "document-page");
+      return false;
+    }
+
+    return true;
+  });
 
-  for (const selector of EMBED_FRAME_SELECTORS) {
-    $(selector).each((_, element) => {
-      for (const attr of attributes) {
-        addCandidateUrl(frameSet, $(element).attr(attr));
-      }
-    });
+  for (const url of keptImages.slice(MAX_MEDIA_COUNT)) {
+    traceDiscard(trace, scope, "image", url, "media-limit");
   }
 
-  return [...frameSet]
-    .filter((url) => {
-      const parsed = parseUrl(url);
-      if (!parsed) {
-        return false;
-      }
+  const media = {
+    imageUrls: keptImages.slice(0, MAX_MEDIA_COUNT),
+    videoUrls,
+    documentUrls,
+    documentCarousels,
+  };
 
-      return (
-        isAllowedLinkedInMediaUrl(url) &&
-        parsed.pathname.toLowerCase().includes("/embeds/")
-      );
-    })
-    .slice(0, MAX_EMBED_FETCHES);
+  traceProvenance(trace, scope, {
+    imageUrls: describeMediaSources(rankedImages, media.imageUrls),
+    videoUrls: describeMediaSources(rankedVideos, media.videoUrls),
+    documentUrls: describeMediaSources(rankedDocuments, media.documentUrls),
+  });
+
+  return media;
 }
 
-function extractMediaFromEmbedDom($) {
-  const candidateSet = new Set();
-  const selectors = [
-    "img",
-    "source",
-    "video",
-    "a",
-    "iframe",
-    "[style]",
-    "[data-src]",
-    "[data-sources]",
-    "[data-player-config]",
-    "[data-video-url]",
-    "[data-document-url]",
-    "[data-slide-image-url]",
-    "[data-carousel-image-url]",
-  ];
-  const attributes = [
-    "src",
-    "srcset",
-    "href",
-    "data-src",
-    "data-delayed-url",
-    "data-ghost-url",
-    "data-lazy-src",
-    "data-thumb-url",
-    "data-url",
-    "data-document-url",
-    "data-video-url",
-    "data-slide-image-url",
-    "data-carousel-image-url",
-    "data-mp4-source-url",
-    "data-source-url",
-    "data-manifest-url",
-    "data-sources",
-    "data-player-config",
-    "style",
-  ];
+function firstTextBySelectors($, selectors) {
+  for (const selector of selectors) {
+    const text = normalizeWhitespace($(selector).first().text());
+    if (text && !isLowValueFallbackText(text)) {
+      return text;
+    }
+  }
 
-  $(selectors.join(", ")).each((_, element) => {
-    for (const attr of attributes) {
-      const value = $(element).attr(attr);
-      if (!value) {
-        continue;
-      }
+  return null;
+}
 
-      addCandidateUrl(candidateSet, value);
+function pickImageUrl($element) {
+  const imageSet = new Set();
+  for (const attr of ["data-delayed-url", "src", "data-src", "srcset"]) {
+    const [url] = addCandidateUrl(imageSet, $element.attr(attr));
+    if (url && isLikelyImageMediaPath(parseUrl(url)?.pathname)) {
+      return url;
+    }
+  }
 
-      for (const styleUrl of extractStyleUrls(value)) {
-        addCandidateUrl(candidateSet, styleUrl);
-      }
+  return null;
+}
 
-      for (const kind of ["image", "video", "document"]) {
-        const embeddedUrls = extractEmbeddedMediaUrls(value, kind);
-        for (const embeddedUrl of embeddedUrls) {
-          addCandidateUrl(candidateSet, embeddedUrl);
-        }
-      }
+function pushArticleImages($, $node, sections) {
+  $node.find("img").each((_, image) => {
+    const url = pickImageUrl($(image));
+    if (url) {
+      sections.push({
+        type: "image",
+        url,
+        caption: normalizeWhitespace($node.find("figcaption").first().text()) || null,
+      });
     }
   });
+}
 
-  for (const kind of ["image", "video", "document"]) {
-    const scriptUrls = extractScriptMediaUrls($, kind);
-    for (const url of scriptUrls) {
-      candidateSet.add(url);
+function collectArticleSections($, node, sections) {
+  if (sections.length >= MAX_ARTICLE_SECTIONS) {
+    return;
+  }
+
+  if (node.type === "text") {
+    const text = normalizeWhitespace(node.data);
+    if (text) {
+      sections.push({ type: "paragraph", text });
     }
+    return;
   }
 
-  const imageSet = new Set();
-  const videoSet = new Set();
-  const documentSet = new Set();
+  if (node.type !== "tag") {
+    return;
+  }
 
-  for (const url of candidateSet) {
-    const pathname = parseUrl(url)?.pathname?.toLowerCase() || "";
+  const $node = $(node);
+  const headingMatch = node.name.match(/^h([1-6])$/);
 
-    if (isLikelyImageMediaPath(pathname)) {
-      imageSet.add(url);
-      continue;
+  if (headingMatch) {
+    const text = normalizeWhitespace($node.text());
+    if (text) {
+      sections.push({ type: "heading", level: Number(headingMatch[1]), text });
     }
+    return;
+  }
 
-    if (isLikelyVideoMediaPath(pathname)) {
-      videoSet.add(url);
-      continue;
+  if (node.name === "p" || node.name === "pre") {
+    const text = extractRichText($, $node).text;
+    if (text) {
+      sections.push({ type: "paragraph", text });
     }
+    pushArticleImages($, $node, sections);
+    return;
+  }
 
-    if (isLikelyDocumentMediaPath(pathname)) {
-      documentSet.add(url);
+  if (node.name === "ul" || node.name === "ol") {
+    const items = $node
+      .children("li")
+      .toArray()
+      .map((item) => normalizeWhitespace($(item).text()))
+      .filter(Boolean);
+    if (items.length > 0) {
+      sections.push({ type: "list", ordered: node.name === "ol", items });
     }
+    return;
   }
 
-  return {
-    imageUrls: [...imageSet].slice(0, MAX_MEDIA_COUNT),
-    videoUrls: [...videoSet].slice(0, MAX_MEDIA_COUNT),
-    documentUrls: [...documentSet].slice(0, MAX_MEDIA_COUNT),
-  };
-}
-
-async function extractMediaFromEmbeds($, preferredReferer) {
-  const frameUrls = extractEmbedFrameUrls($);
-  if (frameUrls.length === 0) {
-    return { imageUrls: [], videoUrls: [], documentUrls: [] };
+  if (node.name === "blockquote") {
+    const text = extractRichText($, $node).text;
+    if (text) {
+      sections.push({ type: "quote", text });
+    }
+    return;
   }
 
-  const referers = buildRefererCandidates(preferredReferer);
-  const limit = pLimit(EMBED_FETCH_CONCURRENCY);
-  const tasks = frameUrls.map((frameUrl) =>
-    limit(async () => {
-      try {
-        let response = null;
-        for (const referer of referers) {
-          const candidate = await fetchWithRedirectGuard(frameUrl, {
-            allowedHosts: isAllowedLinkedInMediaHost,
-            headers: {
-              ...BROWSER_HEADERS,
-              referer,
-            },
-            timeoutMs: 12_000,
-            maxRedirects: 2,
-          });
+  if (node.name === "figure" || node.name === "img") {
+    if (node.name === "img") {
+      const url = pickImageUrl($node);
+      if (url) {
+        sections.push({ type: "image", url, caption: null });
+      }
+      return;
+    }
 
-          if (candidate.ok) {
-            response = candidate;
-            break;
-          }
-        }
+    pushArticleImages($, $node, sections);
+    return;
+  }
 
-        if (!response) {
-          throw new Error("Embed fetch failed with all referers");
-        }
+  if (["script", "style", "noscript", "button", "svg"].includes(node.name)) {
+    return;
+  }
 
-        const html = await response.text();
-        const $embed = cheerio.load(html);
-        return extractMediaFromEmbedDom($embed);
-      } catch (error) {
-        logError("Failed to parse embed frame", error, { frameUrl });
-        return { imageUrls: [], videoUrls: [], documentUrls: [] };
-      }
-    }),
-  );
+  for (const child of node.children || []) {
+    collectArticleSections($, child, sections);
+  }
+}
 
-  const settled = await Promise.all(tasks);
-  const imageSet = new Set();
-  const videoSet = new Set();
-  const documentSet = new Set();
+function extractArticleSections($) {
+  for (const selector of ARTICLE_BODY_SELECTORS) {
+    const $body = $(selector).first();
+    if ($body.length === 0) {
+      continue;
+    }
 
-  for (const result of settled) {
-    for (const url of result.imageUrls) {
-      imageSet.add(url);
+    const sections = [];
+    for (const child of $body.contents().toArray()) {
+      collectArticleSections($, child, sections);
     }
-    for (const url of result.videoUrls) {
-      videoSet.add(url);
+
+    if (sections.some((section) => section.type !== "image")) {
+      return sections;
     }
-    for (const url of result.documentUrls) {
-      documentSet.add(url);
+  }
+
+  return [];
+}
+
+function articleSectionsToText(sections) {
+  return sections
+    .map((section) => {
+      if (section.type === "list") {
+        return section.items
+          .map((item, index) => `${section.ordered ? `${index + 1}.` : "•"} ${item}`)
+          .join("\n");
+      }
+
+      if (section.type === "image") {
+        return "";
+      }
+
+      return section.text;
+    })
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+function extractArticleCover($, primarySchema) {
+  for (const selector of ARTICLE_COVER_SELECTORS) {
+    const url = pickImageUrl($(selector).first());
+    if (url) {
+      return url;
     }
   }
 
+  const schemaImages = extractMediaFromSchema(primarySchema).imageUrls;
+  return schemaImages[0] || extractOgImageFallback($)[0] || null;
+}
+
+async function scrapeArticleOnce(articleUrl) {
+  const html = await fetchLinkedInHtml(articleUrl);
+  const $ = cheerio.load(html);
+  const canonicalUrl = extractCanonicalUrl($, articleUrl);
+  const schemaObjects = collectJsonLdObjects($);
+  const primarySchema = selectPrimarySchemaPost(schemaObjects, canonicalUrl);
+
+  if (hasAuthWall($)) {
+    throw new LinkedInExtractionError(
+      "PRIVATE_OR_PROTECTED",
+      "LinkedIn page requires authentication",
+    );
+  }
+
+  const title =
+    normalizeWhitespace(primarySchema?.headline || primarySchema?.name) ||
+    firstTextBySelectors($, ARTICLE_TITLE_SELECTORS) ||
+    normalizeWhitespace($('meta[property="og:title"]').attr("content")) ||
+    null;
+  const sections = extractArticleSections($);
+  const text = articleSectionsToText(sections);
+
+  if (!text) {
+    throw new LinkedInExtractionError(
+      "TEXT_NOT_FOUND",
+      "Could not extract article body",
+    );
+  }
+
   return {
-    imageUrls: [...imageSet].slice(0, MAX_MEDIA_COUNT),
-    videoUrls: [...videoSet].slice(0, MAX_MEDIA_COUNT),
-    documentUrls: [...documentSet].slice(0, MAX_MEDIA_COUNT),
+    type: "article",
+    url: canonicalUrl,
+    title,
+    subtitle:
+      normalizeWhitespace(primarySchema?.alternativeHeadline) ||
+      firstTextBySelectors($, ARTICLE_SUBTITLE_SELECTORS),
+    author: extractAuthor($, primarySchema, ARTICLE_AUTHOR_DOM_SELECTORS),
+    publishedAt: extractPublishedAtFromSchema(primarySchema),
+    coverImageUrl: extractArticleCover($, primarySchema),
+    sections,
+    text,
+    preferredReferer: extractPostReferer(canonicalUrl),
   };
 }
 
-function extractOgImageFallback($) {
-  const ogSet = new Set();
-  addCandidateUrl(ogSet, $('meta[property="og:image"]').attr("content"));
-  addCandidateUrl(ogSet, $('meta[property="og:image:secure_url"]').attr("content"));
+// Concurrent webhooks for the same post share one page fetch. The shared result is a
+// plain snapshot so each caller builds its own error and trace entry.
+function fetchLinkedInPage(pageUrl) {
+  return singleFlight(
+    `page:${pageUrl}`,
+    async () => {
+      const response = await fetchWithRedirectGuard(pageUrl, {
+        allowedHosts: LINKEDIN_ALLOWED_HOSTS,
+        headers: BROWSER_HEADERS,
+        timeoutMs: 12_000,
+        maxRedirects: 2,
+      });
 
-  return [...ogSet]
-    .filter((url) => {
-      const pathname = parseUrl(url)?.pathname?.toLowerCase() || "";
-      return isLikelyImageMediaPath(pathname);
-    })
-    .slice(0, MAX_MEDIA_COUNT);
+      if (!response.ok) {
+        await response.body?.cancel();
+      }
+
+      return {
+        status: response.status,
+        headers: response.headers,
+        html: response.ok ? await readResponseText(response, MAX_HTML_BYTES) : null,
+      };
+    },
+    { timeoutMs: PAGE_FETCH_WAIT_MS },
+  );
 }
 
-function extensionFromUrl(urlValue) {
-  try {
-    const pathname = new URL(urlValue).pathname;
-    const match = pathname.match(/\.([a-z0-9]{2,5})$/i);
-    if (!match) {
-      return null;
-    }
+async function fetchLinkedInHtml(pageUrl, trace = null) {
+  const page = await fetchLinkedInPage(pageUrl);
+  traceFetch(trace, pageUrl, { purpose: "page", status: page.status });
 
-    return match[1].toLowerCase();
-  } catch {
-    return null;
+  if (page.html === null) {
+    throw errorFromResponse(page, "LinkedIn page request failed");
   }
+
+  return page.html;
+}
+
+function matchSelectorGroups($, groups) {
+  return Object.fromEntries(
+    Object.entries(groups).map(([group, selectors]) => [
+      group,
+      selectors.filter((selector) => $(selector).length > 0),
+    ]),
+  );
 }
 
-function inferMediaType(requestedType, mimeType, sourceUrl) {
-  const normalizedMime = String(mimeType || "").toLowerCase();
-  const pathname = parseUrl(sourceUrl)?.pathname?.toLowerCase() || "";
+function buildHealthSample(primarySchema, details) {
+  return {
+    source: details.source,
+    selectors: details.selectorHits,
+    schemaPaths: SCHEMA_HEALTH_PATHS.filter((path) => {
+      const value = primarySchema?.[path];
+      return Array.isArray(value) ? value.length > 0 : Boolean(value);
+    }),
+    strategies: {
+      text: details.textSource,
+      images: details.imageStrategy,
+    },
+  };
+}
 
-  if (normalizedMime.startsWith("text/html")) {
-    return null;
+async function scrapePostPage(postUrl, options = {}) {
+  const {
+    maxComments = DEFAULT_MAX_COMMENTS,
+    includeReshare = true,
+    trace = null,
+    traceScope: scope = "post",
+    health = null,
+  } = options;
+  const html = await fetchLinkedInHtml(postUrl, trace);
+  const $ = cheerio.load(html);
+  const canonicalUrl = extractCanonicalUrl($, postUrl);
+  const preferredReferer = extractPostReferer(canonicalUrl);
+  const schemaObjects = collectJsonLdObjects($);
+  const primarySchema = selectPrimarySchemaPost(schemaObjects, canonicalUrl);
+  const selectorHits = matchSelectorGroups($, HEALTH_SELECTOR_GROUPS);
+  traceSelectors(trace, scope, $, TRACE_SELECTOR_GROUPS);
+
+  if (hasAuthWall($)) {
+    throw new LinkedInExtractionError(
+      "PRIVATE_OR_PROTECTED",
+      "LinkedIn page requires authentication",
+    );
   }
 
-  if (normalizedMime.startsWith("image/")) {
-    return "image";
+  const inlineReshare = includeReshare
+    ? await extractInlineReshare($, primarySchema, preferredReferer, options)
+    : null;
+  const postUrn =
+    extractLinkedInPostUrn(postUrl) || extractLinkedInPostUrn(canonicalUrl);
+  const fields = extractPostFields({ $, primarySchema, postUrn });
+  const { text, author, publishedAt, engagement } = fields.values;
+  const entities = extractTextEntities($, text);
+  const comments = extractComments($, primarySchema, maxComments);
+  const poll = extractPoll($);
+  const attachments = extractAttachments($, primarySchema);
+  const media = await extractPostMedia($, primarySchema, preferredReferer, options);
+  const resharedPost = await resolveResharedPost(inlineReshare, options);
+  let imageStrategy = media.imageUrls.length > 0 ? "primary" : null;
+  if (!hasAnyMedia(media) && !hasAnyMedia(resharedPost)) {
+    media.imageUrls = extractOgImageFallback($);
+    imageStrategy = media.imageUrls.length > 0 ? "og-image" : null;
+    traceProvenance(trace, scope, {
+      imageUrls: media.imageUrls.map((url) => ({ url, confidence: 0.2, sources: ["og-image"] })),
+    });
   }
 
-  if (normalizedMime.startsWith("video/")) {
-    return "video";
+  traceProvenance(trace, scope, { source: "page", ...fields.provenance });
+
+  if (health) {
+    health.sample = buildHealthSample(primarySchema, {
+      source: "page",
+      selectorHits,
+      textSource: fields.provenance.text.sources[0] ?? null,
+      imageStrategy,
+    });
   }
 
-  if (normalizedMime === "application/pdf") {
-    return "document";
+  if (!text && !resharedPost?.text && !poll && attachments.length === 0) {
+    throw new LinkedInExtractionError(
+      "TEXT_NOT_FOUND",
+      "Could not extract post text",
+    );
   }
 
-  if (pathname.includes("/dms/document/") || pathname.endsWith(".pdf")) {
-    return "document";
+  return {
+    url: normalizeLinkedInUrl(canonicalUrl) || postUrl,
+    text,
+    entities,
+    author,
+    postUrn,
+    publishedAt,
+    engagement,
+    comments,
+    poll,
+    attachments,
+    ...media,
+    resharedPost,
+    preferredReferer,
+    source: "page",
+  };
+}
+
+async function scrapeEmbedPage(postUrl, options = {}) {
+  const postUrn = extractLinkedInPostUrn(postUrl);
+  if (!postUrn) {
+    return null;
   }
 
-  if (
-    pathname.includes("/dms/video/") ||
-    pathname.includes("/dms/videoplayback/") ||
-    pathname.includes("/playlist/vid/") ||
-    /\.(mp4|mov|webm|mpeg)$/i.test(pathname)
-  ) {
-    return "video";
+  const { trace = null, traceScope = "post", health = null } = options;
+  const scope = `${traceScope}.embed`;
+  const embedUrl = `https://${LINKEDIN_HOST}${LINKEDIN_EMBED_PATH}${postUrn}`;
+  const html = await fetchLinkedInHtml(embedUrl, trace);
+  const $ = cheerio.load(html);
+  const selectorHits = matchSelectorGroups($, HEALTH_SELECTOR_GROUPS);
+  traceSelectors(trace, scope, $, TRACE_SELECTOR_GROUPS);
+
+  if (hasAuthWall($)) {
+    return null;
   }
 
-  if (pathname.includes("/dms/image/")) {
-    return "image";
+  const preferredReferer = extractPostReferer(embedUrl);
+  const primarySchema = selectPrimarySchemaPost(collectJsonLdObjects($), embedUrl);
+  const fields = extractPostFields({ $, primarySchema, postUrn });
+  const { text } = fields.values;
+  const media = await extractPostMedia($, primarySchema, preferredReferer, {
+    ...options,
+    traceScope: scope,
+  });
+  if (health) {
+    health.sample = buildHealthSample(primarySchema, {
+      source: "embed",
+      selectorHits,
+      textSource: fields.provenance.text.sources[0] ?? null,
+      imageStrategy: media.imageUrls.length > 0 ? "primary" : null,
+    });
   }
 
-  if (
-    (normalizedMime === "" || normalizedMime === "application/octet-stream") &&
-    (requestedType === "image" ||
-      requestedType === "video" ||
-      requestedType === "document")
-  ) {
-    return requestedType;
+  if (!text && !hasAnyMedia(media)) {
+    return null;
   }
 
-  return null;
-}
+  traceProvenance(trace, scope, { source: "embed", ...fields.provenance });
 
-function mediaFilename(index, mediaType, mimeType, sourceUrl) {
-  const mime = mimeType.split(";")[0].trim().toLowerCase();
-  const ext = MIME_TO_EXTENSION[mime] || extensionFromUrl(sourceUrl) || "jpg";
-  return `linkedin-${mediaType}-${index + 1}.${ext}`;
+  return {
+    url: postUrl,
+    text,
+    entities: extractTextEntities($, text),
+    author: fields.values.author,
+    postUrn,
+    publishedAt: fields.values.publishedAt,
+    engagement: fields.values.engagement,
+    comments: [],
+    poll: extractPoll($),
+    attachments: extractAttachments($, primarySchema),
+    ...media,
+    resharedPost: null,
+    preferredReferer,
+    source: "embed",
+  };
 }
 
-async function scrapeOnce(postUrl) {
+async function scrapeOnce(postUrl, options = {}) {
   if (HEADLESS_MODE_ENABLED) {
     logError(
       "Headless flag enabled but base implementation uses HTML scraping only",
@@ -1216,33 +3563,129 @@ async function scrapeOnce(postUrl) {
     );
   }
 
-  const response = await fetchWithRedirectGuard(postUrl, {
-    allowedHosts: LINKEDIN_ALLOWED_HOSTS,
-    headers: BROWSER_HEADERS,
-    timeoutMs: 12_000,
-    maxRedirects: 2,
-  });
+  try {
+    return await scrapePostPage(postUrl, options);
+  } catch (error) {
+    if (!EMBED_FALLBACK_ERROR_CODES.has(error?.code)) {
+      throw error;
+    }
 
-  if ([401, 403, 999].includes(response.status)) {
-    throw new LinkedInExtractionError(
-      "PRIVATE_OR_PROTECTED",
-      `LinkedIn returned ${response.status}`,
-    );
+    // Auth-walled or throttled post pages are often still readable through the public embed.
+    let embedPost = null;
+    try {
+      embedPost = await scrapeEmbedPage(postUrl, options);
+    } catch (embedError) {
+      logError("Embed fallback failed", embedError, { postUrl });
+    }
+
+    if (embedPost) {
+      return embedPost;
+    }
+
+    throw error;
   }
+}
 
-  if (!response.ok) {
-    throw new LinkedInExtractionError(
-      "SCRAPE_FAILED",
-      `LinkedIn returned ${response.status}`,
-    );
+function isShortlinkHopAllowed(hostname) {
+  return hostname === LINKEDIN_SHORTLINK_HOST || isLinkedInHostname(hostname);
+}
+
+function addProfilePostUrl(postUrls, value) {
+  const url = resolvePostUrl(value);
+  const urn = extractLinkedInPostUrn(url);
+  if (url && urn && !postUrls.has(urn)) {
+    postUrls.set(urn, url);
+  }
+}
+
+// Outside the activity sections a profile page also shows other members' posts, so a post
+// only counts when its `/posts/<handle>_...` slug or the first profile link on its card
+// (the actor) is this profile.
+function isOwnProfilePost($, element, value, profileUrl) {
+  const slug = parseUrl(resolvePostUrl(value))?.pathname.match(/^\/posts\/([^/]+)/)?.[1];
+  if (slug) {
+    const handle = profileUrl.split("/").filter(Boolean).pop();
+    return safeDecodeUriComponent(slug).toLowerCase().startsWith(`${handle.toLowerCase()}_`);
+  }
+
+  const actorUrl = $(element)
+    .closest(PROFILE_POST_CARD_SELECTOR)
+    .find("a[href]")
+    .toArray()
+    .map((link) => normalizeProfileUrl($(link).attr("href")))
+    .find(Boolean);
+  return toLinkedInProfileUrl(actorUrl)?.toLowerCase() === profileUrl.toLowerCase();
+}
+
+function extractProfilePostUrls($, profileUrl) {
+  const postUrls = new Map();
+  const $sections = $(PROFILE_ACTIVITY_SELECTORS.join(", "));
+  const $scope = $sections.length > 0 ? $sections : $("body");
+  const addScopedPostUrl = (element, value) => {
+    if ($sections.length > 0 || isOwnProfilePost($, element, value, profileUrl)) {
+      addProfilePostUrl(postUrls, value);
+    }
+  };
+
+  $scope.find("a[href]").each((_, element) => {
+    addScopedPostUrl(element, $(element).attr("href"));
+  });
+
+  for (const attribute of PROFILE_POST_URN_ATTRIBUTES) {
+    $scope.find(`[${attribute}]`).each((_, element) => {
+      const [urn] = $(element).attr(attribute)?.match(PROFILE_POST_URN_PATTERN) || [];
+      addScopedPostUrl(element, urn);
+    });
   }
 
-  const html = await response.text();
+  $('script[type="application/ld+json"]').each((_, element) => {
+    const raw = decodeEscapedUrl($(element).html() || "");
+    for (const [match] of raw.matchAll(PROFILE_POST_URN_PATTERN)) {
+      addProfilePostUrl(postUrls, match);
+    }
+    for (const [match] of raw.matchAll(PROFILE_POST_URL_PATTERN)) {
+      addProfilePostUrl(postUrls, match);
+    }
+  });
+
+  // Newest first: activity IDs embed their creation time.
+  return [...postUrls.entries()]
+    .map(([urn, url], index) => ({ urn, url, index, at: decodeUrnTimestamp(urn) || "" }))
+    .sort((left, right) => right.at.localeCompare(left.at) || left.index - right.index)
+    .map(({ urn, url }) => ({ urn, url }));
+}
+
+function extractProfileInfo($, profileUrl) {
+  const entity = collectJsonLdObjects($).find((object) =>
+    toArray(object["@type"]).some((type) => PROFILE_SCHEMA_TYPES[type]),
+  );
+  const schemaType = toArray(entity?.["@type"]).find((type) => PROFILE_SCHEMA_TYPES[type]);
+  const ogTitle = normalizeWhitespace($('meta[property="og:title"]').attr("content"));
+
+  return {
+    type:
+      PROFILE_SCHEMA_TYPES[schemaType] ||
+      (parseUrl(profileUrl)?.pathname.startsWith("/company/") ? "company" : "person"),
+    name:
+      normalizeWhitespace(entity?.name) ||
+      ogTitle.replace(/\s*[|\-–]\s*LinkedIn\s*$/i, "") ||
+      null,
+    headline:
+      toArray(entity?.jobTitle || entity?.description || entity?.slogan)
+        .map(textOf)
+        .find(Boolean) ||
+      normalizeWhitespace($('meta[property="og:description"]').attr("content")) ||
+      null,
+    profileUrl,
+    avatarUrl:
+      pickAvatarUrl(entity?.image || entity?.logo) ||
+      pickAvatarUrl($('meta[property="og:image"]').attr("content")),
+  };
+}
+
+async function scrapeProfileOnce(profileUrl) {
+  const html = await fetchLinkedInHtml(profileUrl);
   const $ = cheerio.load(html);
-  const canonicalUrl = extractCanonicalUrl($, postUrl);
-  const preferredReferer = extractPostReferer(canonicalUrl);
-  const schemaObjects = collectJsonLdObjects($);
-  const primarySchema = selectPrimarySchemaPost(schemaObjects, canonicalUrl);
 
   if (hasAuthWall($)) {
     throw new LinkedInExtractionError(
@@ -1251,75 +3694,310 @@ async function scrapeOnce(postUrl) {
     );
   }
 
-  const text = extractTextFromSchema(primarySchema) || extractPostText($);
-  const schemaMedia = extractMediaFromSchema(primarySchema);
-  const pageImageUrls = extractImageUrls($);
-  const pageVideoUrls = extractVideoUrls($);
-  const pageDocumentUrls = extractDocumentUrls($);
-  const nativeDocumentMedia = await extractMediaFromNativeDocuments($, preferredReferer);
-  const embedMedia = await extractMediaFromEmbeds($, preferredReferer);
-
-  const imageSet = new Set([
-    ...schemaMedia.imageUrls,
-    ...pageImageUrls,
-    ...nativeDocumentMedia.imageUrls,
-    ...embedMedia.imageUrls,
-  ]);
-  const videoSet = new Set([
-    ...schemaMedia.videoUrls,
-    ...pageVideoUrls,
-    ...nativeDocumentMedia.videoUrls,
-    ...embedMedia.videoUrls,
-  ]);
-  const documentSet = new Set([
-    ...schemaMedia.documentUrls,
-    ...pageDocumentUrls,
-    ...nativeDocumentMedia.documentUrls,
-    ...embedMedia.documentUrls,
-  ]);
-
-  if (imageSet.size === 0 && videoSet.size === 0 && documentSet.size === 0) {
-    for (const ogImageUrl of extractOgImageFallback($)) {
-      imageSet.add(ogImageUrl);
+  return {
+    profile: extractProfileInfo($, profileUrl),
+    postUrls: extractProfilePostUrls($, profileUrl),
+  };
+}
+
+async function expandShortlink(inputUrl) {
+  const shortUrl = inputUrl.replace(/^http:/i, "https:");
+  let lastUrl = shortUrl;
+  const response = await fetchWithRedirectGuard(shortUrl, {
+    allowedHosts: isShortlinkHopAllowed,
+    headers: BROWSER_HEADERS,
+    timeoutMs: 12_000,
+    maxRedirects: MAX_SHORTLINK_REDIRECTS,
+    onRedirect: (nextUrl) => {
+      lastUrl = nextUrl;
+    },
+    // The LinkedIn URL is all we need; fetching that page here would only be thrown away.
+    shouldFollow: (nextUrl) => !isLinkedInHostname(parseUrl(nextUrl).hostname),
+  });
+
+  if (lastUrl !== shortUrl) {
+    await response.body?.cancel();
+    return lastUrl;
+  }
+
+  if (!response.ok) {
+    throw errorFromResponse(response, "Shortlink request failed");
+  }
+
+  // lnkd.in answers some links with an interstitial page instead of a redirect.
+  const $ = cheerio.load(await readResponseText(response, MAX_HTML_BYTES));
+  for (const selector of SHORTLINK_TARGET_SELECTORS) {
+    const href = normalizeWhitespace($(selector).first().attr("href"));
+    if (href) {
+      return href;
     }
   }
 
-  if (!text) {
-    throw new LinkedInExtractionError(
-      "TEXT_NOT_FOUND",
-      "Could not extract post text",
-    );
+  return null;
+}
+
+export async function resolveLinkedInUrl(urlValue) {
+  let candidate = normalizeWhitespace(urlValue);
+
+  if (isLinkedInShortlinkUrl(candidate)) {
+    try {
+      candidate = await expandShortlink(candidate);
+    } catch (error) {
+      logError("Failed to expand LinkedIn shortlink", error, { url: urlValue });
+      return null;
+    }
   }
 
-  return {
-    text,
-    imageUrls: [...imageSet].slice(0, MAX_MEDIA_COUNT),
-    videoUrls: [...videoSet].slice(0, MAX_MEDIA_COUNT),
-    documentUrls: [...documentSet].slice(0, MAX_MEDIA_COUNT),
-    preferredReferer,
-  };
+  const url = normalizeLinkedInUrl(candidate);
+  if (!url) {
+    return null;
+  }
+
+  return { url, urn: extractLinkedInPostUrn(url) };
+}
+
+function postCacheKey(postUrl, options) {
+  const {
+    maxComments = DEFAULT_MAX_COMMENTS,
+    includeReshare = true,
+    maxVideoBytes = TELEGRAM_UPLOAD_LIMIT_BYTES,
+  } = options;
+  const id = extractLinkedInPostUrn(postUrl) || postUrl;
+  return `post:${id}:comments=${maxComments}:reshare=${includeReshare}:video=${maxVideoBytes}`;
 }
 
-export async function scrapeLinkedInPost(postUrl) {
+export async function scrapeLinkedInPost(inputUrl, options = {}) {
+  const postUrl = normalizeLinkedInUrl(inputUrl);
   try {
     assertValidLinkedInPostUrl(postUrl);
   } catch {
     throw new LinkedInExtractionError("INVALID_URL", "Invalid LinkedIn post URL");
   }
 
-  return withRetries(() => scrapeOnce(postUrl), {
+  // Debug scrapes always hit LinkedIn so the trace describes a real fetch.
+  if (options.debug || options.cache === false) {
+    return scrapePostWithRetries(postUrl, options);
+  }
+
+  return cachedScrape(
+    postCacheKey(postUrl, options),
+    () => scrapePostWithRetries(postUrl, options),
+    { refresh: options.refresh, waitUntil: options.waitUntil },
+  );
+}
+
+async function scrapePostWithRetries(postUrl, options) {
+  const trace = options.debug ? createTrace(postUrl) : null;
+  // Each scrape adds one health sample, from the attempt that ran last. Debug scrapes
+  // are admin checks of a single post and stay out of the stats.
+  const health = options.debug ? null : { sample: null };
+  const scrapeOptions = { ...options, trace, health };
+  const attempt = () => {
+    if (health) {
+      health.sample = null;
+    }
+    return scrapeOnce(postUrl, scrapeOptions);
+  };
+
+  try {
+    const post = await withRetries(attempt, {
+      retries: RETRY_COUNT,
+      onRetry: (error, attempt) => {
+        traceAttempt(trace, attempt, error);
+        logError("Retrying LinkedIn scrape", error, {
+          postUrl,
+          attempt,
+        });
+      },
+    });
+
+    if (trace) {
+      traceAttempt(trace, trace.attempts.length + 1);
+      post.trace = finishTrace(trace);
+    }
+
+    return post;
+  } catch (error) {
+    if (trace) {
+      traceAttempt(trace, trace.attempts.length + 1, error);
+      error.trace = finishTrace(trace);
+    }
+
+    throw error;
+  } finally {
+    if (health?.sample) {
+      await recordScrapeHealth(health.sample);
+    }
+  }
+}
+
+export async function scrapeLinkedInArticle(inputUrl) {
+  const articleUrl = normalizeLinkedInUrl(inputUrl);
+  if (!isValidLinkedInArticleUrl(articleUrl)) {
+    throw new LinkedInExtractionError("INVALID_URL", "Invalid LinkedIn article URL");
+  }
+
+  return withRetries(() => scrapeArticleOnce(articleUrl), {
+    retries: RETRY_COUNT,
+    onRetry: (error, attempt) => {
+      logError("Retrying LinkedIn article scrape", error, {
+        articleUrl,
+        attempt,
+      });
+    },
+  });
+}
+
+export async function scrapeLinkedInProfilePosts(inputUrl, options = {}) {
+  const { limit = DEFAULT_PROFILE_POST_LIMIT, deadline = Infinity, ...postOptions } = options;
+  const profileUrl = toLinkedInProfileUrl(normalizeLinkedInUrl(inputUrl));
+  if (!isValidLinkedInProfileUrl(profileUrl)) {
+    throw new LinkedInExtractionError("INVALID_URL", "Invalid LinkedIn profile URL");
+  }
+
+  const { profile, postUrls } = await withRetries(() => scrapeProfileOnce(profileUrl), {
     retries: RETRY_COUNT,
     onRetry: (error, attempt) => {
-      logError("Retrying LinkedIn scrape", error, {
-        postUrl,
+      logError("Retrying LinkedIn profile scrape", error, {
+        profileUrl,
         attempt,
       });
     },
   });
+
+  const count = Math.min(
+    Math.max(Number(limit) || DEFAULT_PROFILE_POST_LIMIT, 1),
+    MAX_PROFILE_POST_LIMIT,
+  );
+  const scrapeLimit = pLimit(PROFILE_SCRAPE_CONCURRENCY);
+  const posts = await Promise.all(
+    postUrls.slice(0, count).map(({ url, urn }) =>
+      scrapeLimit(async () => {
+        // Posts still queued when the caller runs out of time are reported, not scraped.
+        if (Date.now() >= deadline) {
+          return { url, urn, status: "skipped", post: null, error: null };
+        }
+
+        try {
+          const post = await scrapeLinkedInPost(url, postOptions);
+          return { url, urn, status: "ok", post, error: null };
+        } catch (error) {
+          logError("Failed to scrape profile post", error, { profileUrl, url });
+          return {
+            url,
+            urn,
+            status: "error",
+            post: null,
+            error: {
+              code: error?.code || "SCRAPE_FAILED",
+              message: error?.message || String(error),
+            },
+          };
+        }
+      }),
+    ),
+  );
+
+  return { type: "profile", url: profileUrl, profile, posts };
+}
+
+async function fetchMediaResponse(url, preferredReferer) {
+  let response = null;
+
+  for (const referer of buildRefererCandidates(preferredReferer)) {
+    const candidate = await fetchWithRedirectGuard(url, {
+      allowedHosts: isAllowedLinkedInMediaHost,
+      headers: {
+        ...MEDIA_HEADERS,
+        referer,
+      },
+      timeoutMs: 12_000,
+      maxRedirects: 2,
+    });
+
+    if (candidate.ok) {
+      response = candidate;
+      break;
+    }
+
+    if (candidate.status !== 401 && candidate.status !== 403) {
+      response = candidate;
+      break;
+    }
+  }
+
+  if (!response) {
+    throw new LinkedInExtractionError("UPSTREAM_ERROR", "Media download returned no response");
+  }
+
+  if (!response.ok) {
+    throw errorFromResponse(response, "Media download failed");
+  }
+
+  return response;
+}
+
+async function fetchMediaBuffer(url, preferredReferer, maxBytes) {
+  const response = await fetchMediaResponse(url, preferredReferer);
+  return readResponseBuffer(response, maxBytes);
+}
+
+async function downloadMediaFile(url, referer, maxBytes) {
+  const response = await fetchMediaResponse(url, referer);
+  const contentTypeHeader = (response.headers.get("content-type") || "").toLowerCase();
+  let mimeType = contentTypeHeader.split(";")[0].trim();
+  let buffer = await readResponseBuffer(response, maxBytes);
+  if (!buffer.length) {
+    throw new Error("Empty media buffer");
+  }
+
+  if (isHtmlDocument(buffer)) {
+    throw new LinkedInExtractionError("UPSTREAM_ERROR", "Media URL returned an HTML page");
+  }
+
+  if (isHlsPlaylist(mimeType, buffer)) {
+    const stream = await downloadHlsVideo(url, buffer.toString("utf8"), {
+      fetchBuffer: (segmentUrl) => fetchMediaBuffer(segmentUrl, referer, maxBytes),
+      concurrency: HLS_SEGMENT_CONCURRENCY,
+      maxBytes,
+    });
+    buffer = stream.buffer;
+    mimeType = stream.mimeType;
+  }
+
+  return { buffer, mimeType, contentTypeHeader };
+}
+
+function budgetExceededError(maxTotalBytes) {
+  return new LinkedInExtractionError(
+    "DOWNLOAD_BUDGET_EXCEEDED",
+    `Media download budget of ${maxTotalBytes} bytes is used up`,
+  );
+}
+
+/**
+ * A byte budget shared by several `downloadLinkedInMedia` calls, so that everything
+ * downloaded for one request stays within `maxTotalBytes` together.
+ */
+export function createDownloadBudget(maxTotalBytes = MAX_TOTAL_DOWNLOAD_BYTES) {
+  return { maxTotalBytes, remaining: maxTotalBytes };
 }
 
+/**
+ * Downloads media with a per-file cap (`maxBytes`) and a byte budget (`budget`, from
+ * `createDownloadBudget`; a fresh `maxTotalBytes` budget for this call alone when
+ * omitted). Files that fail, including ones over either limit, are reported
+ * through `onSkip(entry, error)` with `entry.reason` set to the error code
+ * (`MEDIA_TOO_LARGE` or `DOWNLOAD_BUDGET_EXCEEDED` for the limits).
+ */
 export async function downloadLinkedInMedia(mediaEntries, options = {}) {
-  const { referer: preferredReferer } = options;
+  const {
+    referer: preferredReferer,
+    maxBytes = TELEGRAM_UPLOAD_LIMIT_BYTES,
+    maxTotalBytes = MAX_TOTAL_DOWNLOAD_BYTES,
+    budget = createDownloadBudget(maxTotalBytes),
+    onSkip,
+  } = options;
   const dedupedEntries = [];
   const seenUrls = new Set();
 
@@ -1343,63 +4021,59 @@ export async function downloadLinkedInMedia(mediaEntries, options = {}) {
 
   const limit = pLimit(DOWNLOAD_CONCURRENCY);
   const entries = dedupedEntries.slice(0, MAX_DOWNLOAD_COUNT);
+  // Each download reserves its full cap before it starts and gives back what it did not
+  // use, so parallel downloads never hold more than the budget in memory together.
   const downloads = entries.map((entry, index) =>
     limit(async () => {
+      const fileLimit = Math.max(Math.min(maxBytes, budget.remaining), 0);
+      let keptBytes = 0;
+      budget.remaining -= fileLimit;
       try {
-        const refererCandidates = buildRefererCandidates(entry.referer);
-        let response = null;
-
-        for (const referer of refererCandidates) {
-          const candidate = await fetchWithRedirectGuard(entry.url, {
-            allowedHosts: isAllowedLinkedInMediaHost,
-            headers: {
-              ...MEDIA_HEADERS,
-              referer,
-            },
-            timeoutMs: 12_000,
-            maxRedirects: 2,
-          });
-
-          if (candidate.ok) {
-            response = candidate;
-            break;
-          }
-
-          if (candidate.status !== 401 && candidate.status !== 403) {
-            response = candidate;
-            break;
-          }
-        }
-
-        if (!response || !response.ok) {
-          const status = response ? response.status : "unknown";
-          throw new Error(`Media download returned ${status}`);
+        if (fileLimit === 0) {
+          throw budgetExceededError(budget.maxTotalBytes);
         }
 
-        const contentTypeHeader = (
-          response.headers.get("content-type") || ""
-        ).toLowerCase();
-        const mimeType = contentTypeHeader.split(";")[0].trim();
-        const buffer = Buffer.from(await response.arrayBuffer());
-        if (!buffer.length) {
-          throw new Error("Empty media buffer");
-        }
-
-        const mediaType = inferMediaType(entry.requestedType, mimeType, entry.url);
+        // The cap and referer are part of the key so a caller with a tighter budget, or
+        // one whose referer the CDN rejects, never decides the outcome for another.
+        const { buffer, mimeType, contentTypeHeader } = await singleFlight(
+          `media:${fileLimit}:${entry.referer || ""}:${entry.url}`,
+          () => downloadMediaFile(entry.url, entry.referer, fileLimit),
+          { timeoutMs: MEDIA_DOWNLOAD_WAIT_MS },
+        );
+
+        // The bytes decide the type; headers and the URL only matter for unknown formats.
+        const sniffed = sniffMediaType(buffer);
+        const resolvedMimeType = sniffed?.mimeType || mimeType;
+        const mediaType =
+          sniffed?.mediaType || inferMediaType(entry.requestedType, mimeType, entry.url);
         if (!mediaType) {
           throw new Error(`Unsupported content type: ${contentTypeHeader}`);
         }
 
+        keptBytes = buffer.length;
         return {
           url: entry.url,
           buffer,
           mediaType,
-          mimeType,
-          filename: mediaFilename(index, mediaType, mimeType, entry.url),
+          mimeType: resolvedMimeType,
+          filename: mediaFilename(index, mediaType, resolvedMimeType, entry.url),
         };
-      } catch (error) {
+      } catch (caught) {
+        // Over a cap that the remaining budget, not `maxBytes`, had lowered.
+        const error =
+          caught?.code === "MEDIA_TOO_LARGE" && fileLimit < maxBytes
+            ? budgetExceededError(budget.maxTotalBytes)
+            : caught;
         logError("Skipping media after download failure", error, { url: entry.url });
+        if (typeof onSkip === "function") {
+          onSkip(
+            { url: entry.url, type: entry.requestedType, reason: error?.code || "DOWNLOAD_FAILED" },
+            error,
+          );
+        }
         return null;
+      } finally {
+        budget.remaining += fileLimit - keptBytes;
       }
     }),
   );
@@ -0,0 +1,51 @@
+import { PDFDocument } from "pdf-lib";
+
+const PAGE_WIDTH_PT = 595;
+
+function isJpeg(buffer) {
+  return buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+}
+
+function isPng(buffer) {
+  return (
+    buffer.length > 8 &&
+    buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  );
+}
+
+export async function createPdfFromImages(files, { title, onSkip } = {}) {
+  if (!Array.isArray(files) || files.length === 0) {
+    throw new Error("No files provided for PDF creation");
+  }
+
+  const pdf = await PDFDocument.create();
+  if (title) {
+    pdf.setTitle(title);
+  }
+
+  for (const file of files) {
+    let image;
+    if (isJpeg(file.buffer)) {
+      image = await pdf.embedJpg(file.buffer);
+    } else if (isPng(file.buffer)) {
+      image = await pdf.embedPng(file.buffer);
+    } else {
+      if (typeof onSkip === "function") {
+        onSkip(file);
+      }
+      continue;
+    }
+
+    const scale = PAGE_WIDTH_PT / image.width;
+    const width = PAGE_WIDTH_PT;
+    const height = image.height * scale;
+    const page = pdf.addPage([width, height]);
+    page.drawImage(image, { x: 0, y: 0, width, height });
+  }
+
+  if (pdf.getPageCount() === 0) {
+    throw new Error("No JPEG or PNG pages available for PDF creation");
+  }
+
+  return Buffer.from(await pdf.save());
+}
@@ -0,0 +1,133 @@
+// Identifies downloaded media from its leading bytes. LinkedIn's CDN often answers with
+// `application/octet-stream` or a wrong type, so the bytes are the only reliable source.
+
+const MPEG_TS_PACKET_SIZE = 188;
+const HTML_SNIFF_BYTES = 512;
+const HTML_PREFIX_PATTERN =
+  /^(?:<!doctype html|<(?:html|head|body|meta|title|script|link|style)[\s>/]|<!--|<\?xml[^>]*>\s*<html)/i;
+const HEIF_BRANDS = new Set(["heic", "heix", "hevc", "hevx", "heim", "heis", "mif1", "msf1"]);
+// Other ISO brands (AVIF images, M4A audio, ...) are left unidentified rather than guessed.
+const MP4_BRANDS = new Set([
+  "isom",
+  "iso2",
+  "iso3",
+  "iso4",
+  "iso5",
+  "iso6",
+  "mp41",
+  "mp42",
+  "avc1",
+  "dash",
+  "m4v ",
+  "f4v ",
+  "mmp4",
+  "msnv",
+]);
+const THREE_GP_BRANDS = new Set(["3gp4", "3gp5", "3gp6", "3gg6", "3g2a", "3g2b", "3g2c"]);
+
+// Telegram's sendPhoto rejects HEIC, so those photos are delivered as documents.
+const SIGNATURES = [
+  {
+    mimeType: "image/jpeg",
+    mediaType: "image",
+    matches: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]),
+  },
+  {
+    mimeType: "image/png",
+    mediaType: "image",
+    matches: (buffer) => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  {
+    mimeType: "image/gif",
+    mediaType: "image",
+    matches: (buffer) => ascii(buffer, 0, 6) === "GIF87a" || ascii(buffer, 0, 6) === "GIF89a",
+  },
+  {
+    mimeType: "image/webp",
+    mediaType: "image",
+    matches: (buffer) => ascii(buffer, 0, 4) === "RIFF" && ascii(buffer, 8, 12) === "WEBP",
+  },
+  {
+    mimeType: "image/heic",
+    mediaType: "document",
+    matches: (buffer) => HEIF_BRANDS.has(isoBrand(buffer)),
+  },
+  {
+    mimeType: "video/quicktime",
+    mediaType: "video",
+    matches: (buffer) => isoBrand(buffer) === "qt  ",
+  },
+  {
+    mimeType: "video/mp4",
+    mediaType: "video",
+    matches: (buffer) => MP4_BRANDS.has(isoBrand(buffer)),
+  },
+  {
+    mimeType: "video/3gpp",
+    mediaType: "video",
+    matches: (buffer) => THREE_GP_BRANDS.has(isoBrand(buffer)),
+  },
+  {
+    mimeType: "video/webm",
+    mediaType: "video",
+    matches: (buffer) => startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3]),
+  },
+  {
+    mimeType: "video/mp2t",
+    mediaType: "video",
+    matches: isMpegTs,
+  },
+  {
+    mimeType: "application/pdf",
+    mediaType: "document",
+    matches: (buffer) => ascii(buffer, 0, 5) === "%PDF-",
+  },
+];
+
+function startsWith(buffer, bytes) {
+  return buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte);
+}
+
+function ascii(buffer, start, end) {
+  return buffer.length >= end ? buffer.toString("latin1", start, end) : "";
+}
+
+// ISO base media files (MP4, MOV, HEIF) open with a `ftyp` box naming the major brand.
+function isoBrand(buffer) {
+  return ascii(buffer, 4, 8) === "ftyp" ? ascii(buffer, 8, 12).toLowerCase() : null;
+}
+
+function isMpegTs(buffer) {
+  if (buffer[0] !== 0x47 || buffer.length < MPEG_TS_PACKET_SIZE * 2) {
+    return false;
+  }
+
+  const packets = Math.min(Math.floor(buffer.length / MPEG_TS_PACKET_SIZE), 3);
+  for (let packet = 1; packet < packets; packet += 1) {
+    if (buffer[packet * MPEG_TS_PACKET_SIZE] !== 0x47) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+export function sniffMediaType(buffer) {
+  if (!buffer?.length) {
+    return null;
+  }
+
+  const signature = SIGNATURES.find((candidate) => candidate.matches(buffer));
+  return signature ? { mimeType: signature.mimeType, mediaType: signature.mediaType } : null;
+}
+
+// Login walls and CDN error pages come back as HTML with a 200 status.
+export function isHtmlDocument(buffer) {
+  if (!buffer?.length) {
+    return false;
+  }
+
+  // trimStart also drops a leading byte-order mark.
+  const head = buffer.toString("utf8", 0, Math.min(buffer.length, HTML_SNIFF_BYTES)).trimStart();
+  return HTML_PREFIX_PATTERN.test(head);
+}
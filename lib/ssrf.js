@@ -0,0 +1,155 @@
+import { lookup as dnsLookup } from "node:dns";
+import { BlockList, isIP } from "node:net";
+import { Agent } from "undici";
+
+// Loopback, private, link-local (including cloud metadata at 169.254.169.254), CGNAT and
+// other non-routable ranges. Requests never connect to these, whatever DNS says.
+const BLOCKED_IPV4_SUBNETS = [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+];
+const BLOCKED_IPV6_SUBNETS = [
+  ["::", 128],
+  ["::1", 128],
+  ["2001::", 32],
+  ["2001:db8::", 32],
+  // Local-use NAT64 (RFC 8215); the IPv4 part can sit at any of several offsets.
+  ["64:ff9b:1::", 48],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["fec0::", 10],
+  ["ff00::", 8],
+];
+
+const blockList = new BlockList();
+for (const [network, prefix] of BLOCKED_IPV4_SUBNETS) {
+  blockList.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of BLOCKED_IPV6_SUBNETS) {
+  blockList.addSubnet(network, prefix, "ipv6");
+}
+
+function expandIpv6(address) {
+  let value = address.toLowerCase().split("%")[0];
+  const dottedTail = value.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dottedTail) {
+    const octets = dottedTail[1].split(".").map(Number);
+    const high = ((octets[0] << 8) | octets[1]).toString(16);
+    const low = ((octets[2] << 8) | octets[3]).toString(16);
+    value = `${value.slice(0, -dottedTail[1].length)}${high}:${low}`;
+  }
+
+  const [head, tail] = value.split("::");
+  const headParts = head ? head.split(":") : [];
+  const tailParts = tail ? tail.split(":") : [];
+  const missing = value.includes("::") ? 8 - headParts.length - tailParts.length : 0;
+  return [...headParts, ...Array(missing).fill("0"), ...tailParts].map((part) =>
+    Number.parseInt(part, 16),
+  );
+}
+
+function ipv4FromHextets(high, low) {
+  return [high >> 8, high & 0xff, low >> 8, low & 0xff].join(".");
+}
+
+// IPv4 addresses carried inside IPv6 ones: mapped (::ffff:a.b.c.d), compatible (::a.b.c.d),
+// translated (::ffff:0:a.b.c.d), NAT64 (64:ff9b::/96) and 6to4 (2002::/16).
+function embeddedIpv4(hextets) {
+  const leadingZeros = hextets.slice(0, 4).every((part) => part === 0);
+  if (leadingZeros && hextets[4] === 0 && (hextets[5] === 0xffff || hextets[5] === 0)) {
+    return ipv4FromHextets(hextets[6], hextets[7]);
+  }
+
+  if (leadingZeros && hextets[4] === 0xffff && hextets[5] === 0) {
+    return ipv4FromHextets(hextets[6], hextets[7]);
+  }
+
+  if (hextets[0] === 0x64 && hextets[1] === 0xff9b && hextets.slice(2, 6).every((part) => !part)) {
+    return ipv4FromHextets(hextets[6], hextets[7]);
+  }
+
+  if (hextets[0] === 0x2002) {
+    return ipv4FromHextets(hextets[1], hextets[2]);
+  }
+
+  return null;
+}
+
+export function isBlockedAddress(address) {
+  const family = isIP(address);
+  if (family === 4) {
+    return blockList.check(address, "ipv4");
+  }
+
+  if (family !== 6) {
+    return true;
+  }
+
+  const hextets = expandIpv6(address);
+  const ipv4 = embeddedIpv4(hextets);
+  if (ipv4) {
+    return blockList.check(ipv4, "ipv4");
+  }
+
+  return blockList.check(address.split("%")[0], "ipv6");
+}
+
+/**
+ * Wraps a `dns.lookup`-style resolver so it fails when any resolved address is blocked.
+ * The socket connects to the address returned here, so the checked address is the one
+ * used and a second, rebinding DNS answer is never consulted.
+ */
+export function createGuardedLookup(resolve = dnsLookup) {
+  return (hostname, options, callback) => {
+    resolve(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+
+      const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+      if (blocked || addresses.length === 0) {
+        const lookupError = new Error(
+          `${hostname} resolves to a blocked address: ${blocked?.address || "none"}`,
+        );
+        lookupError.code = "ERR_BLOCKED_ADDRESS";
+        callback(lookupError);
+        return;
+      }
+
+      if (options?.all) {
+        callback(null, addresses);
+        return;
+      }
+
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+export const guardedLookup = createGuardedLookup();
+
+let guardedDispatcher = null;
+
+// Shared by every outbound `fetch` so pooled connections are reused across requests.
+export function getGuardedDispatcher() {
+  guardedDispatcher ??= new Agent({ connect: { lookup: guardedLookup } });
+  return guardedDispatcher;
+}
+
+// `fetch` that only connects to addresses allowed above.
+export function guardedFetch(url, init = {}) {
+  return fetch(url, { ...init, dispatcher: getGuardedDispatcher() });
+}
@@ -3,6 +3,53 @@ import { fetchWithTimeout, safeJson, trimForTelegram } from "./utils.js";
 const TELEGRAM_API_BASE = "https://api.telegram.org";
 const TELEGRAM_TIMEOUT_MS = 12_000;
 const TELEGRAM_MEDIA_GROUP_LIMIT = 10;
+const TELEGRAM_POLL_QUESTION_LIMIT = 300;
+const TELEGRAM_POLL_OPTION_LIMIT = 100;
+const TELEGRAM_POLL_MAX_OPTIONS = 10;
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+};
+
+export function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"]/g, (char) => HTML_ESCAPES[char]);
+}
+
+export function truncateRichText(text, entities = [], maxLength = 3600) {
+  const source = String(text || "");
+  if (source.length <= maxLength) {
+    return { text: source, entities };
+  }
+
+  const cut = Math.max(maxLength - 1, 0);
+  return {
+    text: `${source.slice(0, cut)}…`,
+    entities: entities.filter((entity) => entity.offset + entity.length <= cut),
+  };
+}
+
+export function renderRichTextHtml(text, entities = []) {
+  const source = String(text || "");
+  const sorted = [...entities].sort((a, b) => a.offset - b.offset);
+  let html = "";
+  let cursor = 0;
+
+  for (const entity of sorted) {
+    if (entity.offset < cursor || !entity.url) {
+      continue;
+    }
+
+    const end = entity.offset + entity.length;
+    html += escapeHtml(source.slice(cursor, entity.offset));
+    html += `<a href="${escapeHtml(entity.url)}">${escapeHtml(source.slice(entity.offset, end))}</a>`;
+    cursor = end;
+  }
+
+  return html + escapeHtml(source.slice(cursor));
+}
 
 function buildTelegramMethodUrl(token, method) {
   return `${TELEGRAM_API_BASE}/bot${token}/${method}`;
@@ -31,12 +78,14 @@ async function callTelegramApi(token, method, { json, formData } = {}) {
   return payload.result;
 }
 
-export async function sendMessage(token, { chatId, text }) {
+export async function sendMessage(token, { chatId, text, parseMode }) {
   return callTelegramApi(token, "sendMessage", {
     json: {
       chat_id: chatId,
-      text: trimForTelegram(text, 3900),
+      // HTML is pre-sized by the caller; cutting it here could split a tag.
+      text: parseMode ? text : trimForTelegram(text, 3900),
       disable_web_page_preview: true,
+      ...(parseMode ? { parse_mode: parseMode } : {}),
     },
   });
 }
@@ -125,3 +174,21 @@ export async function sendDocument(
 
   return callTelegramApi(token, "sendDocument", { formData: form });
 }
+
+export async function sendPoll(token, { chatId, question, options }) {
+  const pollOptions = options
+    .slice(0, TELEGRAM_POLL_MAX_OPTIONS)
+    .map((option) => trimForTelegram(option, TELEGRAM_POLL_OPTION_LIMIT));
+
+  if (pollOptions.length < 2) {
+    throw new Error("Telegram polls need at least two options");
+  }
+
+  return callTelegramApi(token, "sendPoll", {
+    json: {
+      chat_id: chatId,
+      question: trimForTelegram(question, TELEGRAM_POLL_QUESTION_LIMIT),
+      options: pollOptions,
+    },
+  });
+}
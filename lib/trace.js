@@ -0,0 +1,89 @@
+// Debug trace helpers. Every function is a no-op when `trace` is null, so
+// extractors can call them unconditionally.
+
+export function createTrace(inputUrl) {
+  return {
+    inputUrl,
+    startedAt: new Date().toISOString(),
+    durationMs: null,
+    attempts: [],
+    selectors: {},
+    fetches: [],
+    candidates: [],
+    discarded: [],
+    provenance: {},
+  };
+}
+
+export function traceAttempt(trace, attempt, error = null) {
+  trace?.attempts.push({
+    attempt,
+    ok: !error,
+    error: error ? { code: error.code || null, message: error.message } : null,
+  });
+}
+
+export function traceSelectors(trace, scope, $, groups) {
+  if (!trace) {
+    return;
+  }
+
+  const report = {};
+  for (const [group, selectors] of Object.entries(groups)) {
+    const matched = {};
+    const missed = [];
+
+    for (const selector of selectors) {
+      let count = 0;
+      try {
+        count = $(selector).length;
+      } catch {
+        count = 0;
+      }
+
+      if (count > 0) {
+        matched[selector] = count;
+      } else {
+        missed.push(selector);
+      }
+    }
+
+    report[group] = { matched, missed };
+  }
+
+  trace.selectors[scope] = report;
+}
+
+export function traceFetch(trace, url, details = {}) {
+  trace?.fetches.push({ url, ...details });
+}
+
+export function traceCandidates(trace, scope, candidates) {
+  if (!trace) {
+    return;
+  }
+
+  for (const candidate of candidates) {
+    trace.candidates.push({ scope, ...candidate });
+  }
+}
+
+export function traceDiscard(trace, scope, kind, url, reason) {
+  trace?.discarded.push({ scope, kind, url, reason });
+}
+
+export function traceProvenance(trace, scope, provenance) {
+  if (!trace) {
+    return;
+  }
+
+  trace.provenance[scope] = { ...trace.provenance[scope], ...provenance };
+}
+
+export function finishTrace(trace) {
+  if (trace) {
+    trace.durationMs = Date.now() - Date.parse(trace.startedAt);
+  }
+
+  return trace;
+}
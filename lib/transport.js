@@ -0,0 +1,116 @@
+// Record/replay HTTP transports for `setHttpTransport`. Recorded interactions are
+// plain JSON so they can be stored as fixtures and replayed without network access.
+
+import { guardedFetch } from "./ssrf.js";
+
+const MAX_RECORDED_BODY_BYTES = 512 * 1024;
+const NULL_BODY_STATUSES = new Set([101, 204, 205, 304]);
+const TEXT_CONTENT_TYPE_PATTERN = /^(text\/|application\/(json|xml|javascript|.*mpegurl))/i;
+const OMITTED_RESPONSE_HEADERS = new Set(["set-cookie"]);
+
+function interactionKey(method, url) {
+  return `${String(method || "GET").toUpperCase()} ${url}`;
+}
+
+function recordHeaders(headers) {
+  const recorded = {};
+  for (const [name, value] of headers.entries()) {
+    if (!OMITTED_RESPONSE_HEADERS.has(name)) {
+      recorded[name] = value;
+    }
+  }
+
+  return recorded;
+}
+
+function encodeBody(buffer, contentType) {
+  if (buffer.length === 0) {
+    return { body: null, bodyEncoding: null, truncated: false };
+  }
+
+  const truncated = buffer.length > MAX_RECORDED_BODY_BYTES;
+  const stored = truncated ? buffer.subarray(0, MAX_RECORDED_BODY_BYTES) : buffer;
+  const isText = TEXT_CONTENT_TYPE_PATTERN.test(contentType || "");
+
+  return {
+    body: stored.toString(isText ? "utf8" : "base64"),
+    bodyEncoding: isText ? "utf8" : "base64",
+    truncated,
+  };
+}
+
+function decodeBody(interaction) {
+  if (interaction.body === null || interaction.body === undefined) {
+    return null;
+  }
+
+  return Buffer.from(interaction.body, interaction.bodyEncoding === "base64" ? "base64" : "utf8");
+}
+
+// LinkedIn answers blocked requests with 999, which the Response constructor rejects.
+function buildResponse(status, headers, body) {
+  const isStandardStatus = status >= 200 && status <= 599;
+  const response = new Response(NULL_BODY_STATUSES.has(status) ? null : body, {
+    status: isStandardStatus ? status : 500,
+    headers,
+  });
+
+  if (!isStandardStatus) {
+    Object.defineProperties(response, {
+      status: { value: status },
+      ok: { value: false },
+    });
+  }
+
+  return response;
+}
+
+// Recording hits live URLs, so the default fetch keeps the connect-time address checks.
+export function createRecordingTransport(baseFetch = guardedFetch) {
+  const interactions = [];
+
+  async function transport(url, init = {}) {
+    const method = String(init.method || "GET").toUpperCase();
+    const response = await baseFetch(url, init);
+    const buffer =
+      method === "HEAD" || NULL_BODY_STATUSES.has(response.status)
+        ? Buffer.alloc(0)
+        : Buffer.from(await response.arrayBuffer());
+    const headers = recordHeaders(response.headers);
+
+    interactions.push({
+      method,
+      url: String(url),
+      status: response.status,
+      headers,
+      ...encodeBody(buffer, headers["content-type"]),
+    });
+
+    return buildResponse(response.status, headers, buffer.length > 0 ? buffer : null);
+  }
+
+  return { transport, interactions };
+}
+
+export function createReplayTransport(interactions) {
+  const queues = new Map();
+  for (const interaction of interactions) {
+    const key = interactionKey(interaction.method, interaction.url);
+    if (!queues.has(key)) {
+      queues.set(key, []);
+    }
+    queues.get(key).push(interaction);
+  }
+
+  return async function transport(url, init = {}) {
+    const key = interactionKey(init.method, String(url));
+    const queue = queues.get(key);
+    if (!queue) {
+      throw new Error(`No recorded response for ${key}`);
+    }
+
+    // Replay in recorded order and keep answering with the last response.
+    const interaction = queue.length > 1 ? queue.shift() : queue[0];
+    return buildResponse(interaction.status, interaction.headers, decodeBody(interaction));
+  };
+}
@@ -1,8 +1,30 @@
+import { isIP } from "node:net";
+import { LinkedInExtractionError } from "./errors.js";
+import { guardedFetch, isBlockedAddress } from "./ssrf.js";
+
 const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
 const LINKEDIN_POST_PATH_PREFIXES = ["/posts/", "/feed/update/"];
+const LINKEDIN_ARTICLE_PATH_PREFIXES = ["/pulse/"];
+const LINKEDIN_HOSTNAME_PATTERN = /^(?:(?:www|m|[a-z]{2})\.)?linkedin\.com$/;
+const LINKEDIN_EMBED_PATH_PREFIX = "/embed/feed/update/";
+const LINKEDIN_PROFILE_PATH_PATTERN = /^\/(in|company)\/([^/]+)(?:\/|$)/;
+const LINKEDIN_URN_PATTERN = /urn:li:(activity|share|ugcPost):(\d+)/i;
+const LINKEDIN_SLUG_URN_PATTERN = /-(activity|share|ugcPost)-(\d+)(?:-|$)/i;
+
+const COMPACT_NUMBER_MULTIPLIERS = {
+  k: 1_000,
+  "ألف": 1_000,
+  "آلاف": 1_000,
+  m: 1_000_000,
+  "مليون": 1_000_000,
+  b: 1_000_000_000,
+  "مليار": 1_000_000_000,
+};
 
 export const LINKEDIN_HOST = "www.linkedin.com";
+export const LINKEDIN_SHORTLINK_HOST = "lnkd.in";
 export const FETCH_TIMEOUT_MS = 12_000;
+const MAX_RETRY_DELAY_MS = 5_000;
 
 function isHostnameAllowed(hostname, allowedHosts) {
   const normalized = hostname.toLowerCase();
@@ -43,7 +65,7 @@ export function extractFirstUrl(text) {
   return match[0].replace(/[),.;!?]+$/, "");
 }
 
-export function isValidLinkedInPostUrl(urlValue) {
+function hasLinkedInPathPrefix(urlValue, prefixes) {
   const url = parseUrl(urlValue);
   if (!url) {
     return false;
@@ -57,17 +79,115 @@ export function isValidLinkedInPostUrl(urlValue) {
     return false;
   }
 
-  return LINKEDIN_POST_PATH_PREFIXES.some((prefix) =>
-    url.pathname.startsWith(prefix),
+  return prefixes.some((prefix) => url.pathname.startsWith(prefix));
+}
+
+export function isValidLinkedInPostUrl(urlValue) {
+  return hasLinkedInPathPrefix(urlValue, LINKEDIN_POST_PATH_PREFIXES);
+}
+
+export function isValidLinkedInArticleUrl(urlValue) {
+  return hasLinkedInPathPrefix(urlValue, LINKEDIN_ARTICLE_PATH_PREFIXES);
+}
+
+export function isValidLinkedInProfileUrl(urlValue) {
+  const url = parseUrl(urlValue);
+  return Boolean(
+    url &&
+      url.protocol === "https:" &&
+      url.hostname.toLowerCase() === LINKEDIN_HOST &&
+      LINKEDIN_PROFILE_PATH_PATTERN.test(url.pathname),
   );
 }
 
+// Reduces `/in/<handle>/recent-activity/...` style URLs to the public profile root.
+export function toLinkedInProfileUrl(urlValue) {
+  const url = parseUrl(urlValue);
+  const match = url?.pathname.match(LINKEDIN_PROFILE_PATH_PATTERN);
+  if (!match || !isValidLinkedInProfileUrl(urlValue)) {
+    return null;
+  }
+
+  return `https://${LINKEDIN_HOST}/${match[1]}/${match[2]}/`;
+}
+
 export function assertValidLinkedInPostUrl(urlValue) {
   if (!isValidLinkedInPostUrl(urlValue)) {
     throw new Error("Invalid LinkedIn post URL");
   }
 }
 
+export function isLinkedInHostname(hostname) {
+  return LINKEDIN_HOSTNAME_PATTERN.test(String(hostname || "").toLowerCase());
+}
+
+export function isLinkedInShortlinkUrl(urlValue) {
+  const url = parseUrl(urlValue);
+  return Boolean(
+    url &&
+      ["https:", "http:"].includes(url.protocol) &&
+      url.hostname.toLowerCase() === LINKEDIN_SHORTLINK_HOST,
+  );
+}
+
+/**
+ * Maps mobile/country subdomains and embed URLs to the canonical
+ * `https://www.linkedin.com/...` form and drops query strings and fragments,
+ * which on post and article URLs only ever carry tracking data.
+ */
+export function normalizeLinkedInUrl(urlValue) {
+  const url = parseUrl(urlValue);
+  if (!url || !["https:", "http:"].includes(url.protocol)) {
+    return null;
+  }
+
+  if (!isLinkedInHostname(url.hostname)) {
+    return null;
+  }
+
+  let pathname = url.pathname.replace(/\/{2,}/g, "/");
+  try {
+    pathname = decodeURI(pathname).replace(/%3A/gi, ":");
+  } catch {
+    // Keep the raw pathname when it carries malformed escapes.
+  }
+
+  if (pathname.startsWith(LINKEDIN_EMBED_PATH_PREFIX)) {
+    pathname = pathname.slice("/embed".length);
+  }
+
+  pathname = pathname.replace(/\/+$/, "");
+  if (pathname.startsWith("/feed/update/")) {
+    pathname = `${pathname}/`;
+  }
+
+  const normalized = parseUrl(`https://${LINKEDIN_HOST}${pathname || "/"}`);
+  return normalized ? normalized.toString() : null;
+}
+
+export function extractLinkedInPostUrn(urlValue) {
+  const url = parseUrl(urlValue);
+  if (!url) {
+    return null;
+  }
+
+  let pathname = url.pathname;
+  try {
+    pathname = decodeURIComponent(pathname);
+  } catch {
+    // Keep the raw pathname when it carries malformed escapes.
+  }
+
+  const match =
+    pathname.match(LINKEDIN_URN_PATTERN) || pathname.match(LINKEDIN_SLUG_URN_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const type = match[1].toLowerCase() === "ugcpost" ? "ugcPost" : match[1].toLowerCase();
+  return `urn:li:${type}:${match[2]}`;
+}
+
 export function isAllowedLinkedInMediaHost(hostname) {
   const normalized = hostname.toLowerCase();
 
@@ -105,6 +225,54 @@ export function normalizeWhitespace(value) {
     .trim();
 }
 
+function toWesternDigits(value) {
+  return String(value || "")
+    .replace(/[\u0660-\u0669]/g, (digit) => String(digit.charCodeAt(0) - 0x0660))
+    .replace(/[\u06f0-\u06f9]/g, (digit) => String(digit.charCodeAt(0) - 0x06f0))
+    .replace(/\u066b/g, ".")
+    .replace(/\u066c/g, ",");
+}
+
+export function parseCompactNumber(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) && value >= 0 ? Math.round(value) : null;
+  }
+
+  const source = toWesternDigits(value).toLowerCase();
+  const match = source.match(
+    /(\d[\d.,'\s\u00a0\u202f]*)\s*(k|m|b|ألف|آلاف|مليون|مليار)?(?![a-z])/u,
+  );
+  if (!match) {
+    return null;
+  }
+
+  const digits = match[1].replace(/['\s\u00a0\u202f]/g, "");
+  const multiplier = COMPACT_NUMBER_MULTIPLIERS[match[2]] || 1;
+  let parsed;
+
+  if (multiplier === 1 && /^\d{1,3}([.,]\d{3})+$/.test(digits)) {
+    parsed = Number(digits.replace(/[.,]/g, ""));
+  } else {
+    parsed = Number.parseFloat(digits.replace(/,(?=\d*$)/, ".").replace(/,/g, ""));
+  }
+
+  if (!Number.isFinite(parsed)) {
+    return null;
+  }
+
+  return Math.round(parsed * multiplier);
+}
+
+export function normalizeMultilineWhitespace(value) {
+  return String(value || "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map((line) => line.replace(/[^\S\n]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
 export function trimForTelegram(text, maxLength = 3900) {
   const normalized = String(text || "");
   if (normalized.length <= maxLength) {
@@ -120,6 +288,14 @@ export function sleep(ms) {
   });
 }
 
+let httpTransport = null;
+
+// Swaps the function used for every outbound request (see lib/transport.js).
+// Passing null restores the global `fetch`.
+export function setHttpTransport(transport) {
+  httpTransport = typeof transport === "function" ? transport : null;
+}
+
 export async function fetchWithTimeout(url, init = {}) {
   const { timeoutMs = FETCH_TIMEOUT_MS, ...fetchInit } = init;
   const controller = new AbortController();
@@ -128,13 +304,18 @@ export async function fetchWithTimeout(url, init = {}) {
   }, timeoutMs);
 
   try {
-    return await fetch(url, {
-      ...fetchInit,
-      signal: controller.signal,
-    });
+    if (httpTransport) {
+      return await httpTransport(url, { ...fetchInit, signal: controller.signal });
+    }
+
+    return await guardedFetch(url, { ...fetchInit, signal: controller.signal });
   } catch (error) {
     if (error?.name === "AbortError") {
-      throw new Error(`Request timeout after ${timeoutMs}ms`);
+      throw new LinkedInExtractionError("TIMEOUT", `Request timeout after ${timeoutMs}ms`);
+    }
+
+    if (error?.cause?.code === "ERR_BLOCKED_ADDRESS") {
+      throw new LinkedInExtractionError("BLOCKED_REDIRECT", error.cause.message);
     }
 
     throw error;
@@ -143,6 +324,51 @@ export async function fetchWithTimeout(url, init = {}) {
   }
 }
 
+function tooLargeError(maxBytes, code) {
+  return new LinkedInExtractionError(code, `Response body exceeds the ${maxBytes} byte limit`);
+}
+
+// Streams a response body into one buffer and cancels the download as soon as it
+// grows past `maxBytes`, so an oversized file never has to fit in memory.
+export async function readResponseBuffer(response, maxBytes = null, options = {}) {
+  const { code = "MEDIA_TOO_LARGE" } = options;
+  const declaredSize = Number(response.headers.get("content-length"));
+  if (maxBytes && declaredSize > maxBytes) {
+    await response.body?.cancel();
+    throw tooLargeError(maxBytes, code);
+  }
+
+  if (!response.body) {
+    return Buffer.alloc(0);
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let totalBytes = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    totalBytes += value.byteLength;
+    if (maxBytes && totalBytes > maxBytes) {
+      await reader.cancel();
+      throw tooLargeError(maxBytes, code);
+    }
+    chunks.push(value);
+  }
+
+  return Buffer.concat(chunks, totalBytes);
+}
+
+// Pages are never legitimately this big; an oversized one is an upstream problem.
+export async function readResponseText(response, maxBytes) {
+  const buffer = await readResponseBuffer(response, maxBytes, { code: "UPSTREAM_ERROR" });
+  return buffer.toString("utf8");
+}
+
 export async function fetchWithRedirectGuard(urlValue, options = {}) {
   const {
     allowedHosts,
@@ -150,6 +376,8 @@ export async function fetchWithRedirectGuard(urlValue, options = {}) {
     maxRedirects = 3,
     method = "GET",
     headers = {},
+    onRedirect,
+    shouldFollow,
   } = options;
 
   if (!allowedHosts) {
@@ -161,15 +389,23 @@ export async function fetchWithRedirectGuard(urlValue, options = {}) {
   for (let redirects = 0; redirects <= maxRedirects; redirects += 1) {
     const parsed = parseUrl(currentUrl);
     if (!parsed) {
-      throw new Error("Invalid URL");
+      throw new LinkedInExtractionError("INVALID_URL", "Invalid URL");
     }
 
+    // Only hops after the first one are redirects; a bad starting URL is the caller's input.
+    const blockedCode = redirects === 0 ? "INVALID_URL" : "BLOCKED_REDIRECT";
     if (parsed.protocol !== "https:") {
-      throw new Error("Only HTTPS URLs are allowed");
+      throw new LinkedInExtractionError(blockedCode, "Only HTTPS URLs are allowed");
     }
 
     if (!isHostnameAllowed(parsed.hostname, allowedHosts)) {
-      throw new Error(`Blocked hostname: ${parsed.hostname}`);
+      throw new LinkedInExtractionError(blockedCode, `Blocked hostname: ${parsed.hostname}`);
+    }
+
+    // IP literals skip DNS, so the resolver-level check never sees them.
+    const literalAddress = parsed.hostname.replace(/^\[|\]$/g, "");
+    if (isIP(literalAddress) && isBlockedAddress(literalAddress)) {
+      throw new LinkedInExtractionError(blockedCode, `Blocked address: ${literalAddress}`);
     }
 
     const response = await fetchWithTimeout(parsed.toString(), {
@@ -185,29 +421,57 @@ export async function fetchWithRedirectGuard(urlValue, options = {}) {
 
     const location = response.headers.get("location");
     if (!location) {
-      throw new Error("Redirect response missing location header");
+      throw new LinkedInExtractionError(
+        "UPSTREAM_ERROR",
+        "Redirect response missing location header",
+      );
     }
 
     const nextUrl = new URL(location, parsed);
     if (!isHostnameAllowed(nextUrl.hostname, allowedHosts)) {
-      throw new Error(`Blocked redirect hostname: ${nextUrl.hostname}`);
+      throw new LinkedInExtractionError(
+        "BLOCKED_REDIRECT",
+        `Blocked redirect hostname: ${nextUrl.hostname}`,
+      );
     }
 
     currentUrl = nextUrl.toString();
+
+    if (typeof onRedirect === "function") {
+      onRedirect(currentUrl);
+    }
+
+    // Lets callers that only need the redirect target stop without fetching it.
+    if (typeof shouldFollow === "function" && !shouldFollow(currentUrl)) {
+      return response;
+    }
   }
 
-  throw new Error("Too many redirects");
+  throw new LinkedInExtractionError("BLOCKED_REDIRECT", "Too many redirects");
+}
+
+// Equal-jitter exponential backoff (half fixed, half random), never shorter than Retry-After.
+function retryDelay(error, attempt, baseDelayMs) {
+  const exponential = baseDelayMs * 2 ** attempt;
+  const jittered = exponential / 2 + Math.random() * (exponential / 2);
+  return Math.max(jittered, error?.retryAfterMs || 0);
 }
 
 export async function withRetries(task, options = {}) {
-  const { retries = 2, baseDelayMs = 400, onRetry } = options;
+  const { retries = 2, baseDelayMs = 400, maxDelayMs = MAX_RETRY_DELAY_MS, onRetry } = options;
   let attempt = 0;
 
   while (attempt <= retries) {
     try {
       return await task(attempt);
     } catch (error) {
-      if (attempt >= retries) {
+      if (attempt >= retries || error?.retryable === false) {
+        throw error;
+      }
+
+      // A serverless request cannot wait out a long rate limit; fail fast instead.
+      const delayMs = retryDelay(error, attempt, baseDelayMs);
+      if (delayMs > maxDelayMs) {
         throw error;
       }
 
@@ -215,7 +479,7 @@ export async function withRetries(task, options = {}) {
         onRetry(error, attempt + 1);
       }
 
-      await sleep(baseDelayMs * (attempt + 1));
+      await sleep(delayMs);
       attempt += 1;
     }
   }
@@ -223,6 +487,42 @@ export async function withRetries(task, options = {}) {
   throw new Error("Retry logic exhausted unexpectedly");
 }
 
+const inFlight = new Map();
+
+// Concurrent calls with the same key share one run of `task` and its result or error.
+// `timeoutMs` only bounds how long this caller waits; the shared run keeps going.
+export async function singleFlight(key, task, options = {}) {
+  const { timeoutMs = null } = options;
+  let promise = inFlight.get(key);
+  if (!promise) {
+    promise = Promise.resolve()
+      .then(task)
+      .finally(() => {
+        inFlight.delete(key);
+      });
+    // Callers that gave up waiting must not turn a later failure into an unhandled rejection.
+    promise.catch(() => {});
+    inFlight.set(key, promise);
+  }
+
+  if (!timeoutMs) {
+    return promise;
+  }
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      reject(new LinkedInExtractionError("TIMEOUT", `Gave up waiting after ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
 export function logError(message, error, meta = {}) {
   const payload = {
     level: "error",
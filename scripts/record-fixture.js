@@ -0,0 +1,40 @@
+// Records a live scrape into test/fixtures/<name>.json.
+// Usage: node scripts/record-fixture.js <name> <linkedin-url> [options-json]
+
+import { mkdirSync, writeFileSync } from "node:fs";
+import { scrapeLinkedInPost } from "../lib/linkedin.js";
+import { guardedFetch } from "../lib/ssrf.js";
+import { createRecordingTransport } from "../lib/transport.js";
+import { setHttpTransport } from "../lib/utils.js";
+
+const FIXTURES_DIR = new URL("../test/fixtures/", import.meta.url);
+
+export async function recordFixture(name, url, options = {}, baseFetch = guardedFetch) {
+  const { transport, interactions } = createRecordingTransport(baseFetch);
+  setHttpTransport(transport);
+
+  try {
+    const expected = await scrapeLinkedInPost(url, { ...options, cache: false });
+    const fixture = { name, url, options, interactions, expected };
+
+    mkdirSync(FIXTURES_DIR, { recursive: true });
+    writeFileSync(
+      new URL(`${name}.json`, FIXTURES_DIR),
+      `${JSON.stringify(fixture, null, 2)}\n`,
+    );
+    return fixture;
+  } finally {
+    setHttpTransport(null);
+  }
+}
+
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  const [name, url, rawOptions] = process.argv.slice(2);
+  if (!name || !url) {
+    console.error("Usage: node scripts/record-fixture.js <name> <linkedin-url> [options-json]");
+    process.exit(1);
+  }
+
+  const fixture = await recordFixture(name, url, rawOptions ? JSON.parse(rawOptions) : {});
+  console.log(`Recorded ${fixture.interactions.length} responses into test/fixtures/${name}.json`);
+}
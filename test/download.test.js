@@ -0,0 +1,40 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, test } from "node:test";
+import { createDownloadBudget, downloadLinkedInMedia } from "../lib/linkedin.js";
+import { setHttpTransport } from "../lib/utils.js";
+
+const PNG_HEADER = Buffer.from("89504e470d0a1a0a0000000d49484452", "hex");
+const FILE_SIZE = 1024;
+
+function imageEntry(id) {
+  return { url: `https://media.licdn.com/dms/image/v2/${id}/image_800/0/1?e=1`, type: "image" };
+}
+
+describe("downloadLinkedInMedia", () => {
+  afterEach(() => {
+    setHttpTransport(null);
+  });
+
+  test("calls that share a budget stop once it is used up", async () => {
+    setHttpTransport(async () => {
+      const body = Buffer.concat([PNG_HEADER, Buffer.alloc(FILE_SIZE - PNG_HEADER.length)]);
+      return new Response(body, {
+        headers: { "content-type": "image/png", "content-length": String(body.length) },
+      });
+    });
+
+    const budget = createDownloadBudget(FILE_SIZE * 2.5);
+    const skipped = [];
+    const onSkip = (entry) => skipped.push(entry.reason);
+
+    const first = await downloadLinkedInMedia([imageEntry("budget-a")], { budget, onSkip });
+    const second = await downloadLinkedInMedia([imageEntry("budget-b")], { budget, onSkip });
+    const third = await downloadLinkedInMedia([imageEntry("budget-c")], { budget, onSkip });
+
+    assert.equal(first.length, 1);
+    assert.equal(second.length, 1);
+    assert.deepEqual(third, []);
+    assert.deepEqual(skipped, ["DOWNLOAD_BUDGET_EXCEEDED"]);
+    assert.equal(budget.remaining, FILE_SIZE * 0.5);
+  });
+});
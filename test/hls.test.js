@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { downloadHlsVideo } from "../lib/hls.js";
+
+const PLAYLIST_URL = "https://dms.licdn.com/playlist/vid/v2/stream/0/1/video.m3u8";
+const FMP4_PLAYLIST = [
+  "#EXTM3U",
+  "#EXT-X-VERSION:7",
+  "#EXT-X-TARGETDURATION:4",
+  '#EXT-X-MAP:URI="init.mp4"',
+  "#EXTINF:4.0,",
+  "segment-0.m4s",
+  "#EXTINF:4.0,",
+  "segment-1.m4s",
+  "#EXT-X-ENDLIST",
+].join("\n");
+
+function fetchSizes(sizes) {
+  return async (url) => Buffer.alloc(sizes[new URL(url).pathname.split("/").pop()]);
+}
+
+describe("downloadHlsVideo", () => {
+  test("joins the init segment and media segments of an fMP4 stream", async () => {
+    const { buffer, mimeType } = await downloadHlsVideo(PLAYLIST_URL, FMP4_PLAYLIST, {
+      fetchBuffer: fetchSizes({ "init.mp4": 40, "segment-0.m4s": 30, "segment-1.m4s": 30 }),
+      maxBytes: 100,
+    });
+
+    assert.equal(buffer.length, 100);
+    assert.equal(mimeType, "video/mp4");
+  });
+
+  test("counts the init segment toward maxBytes", async () => {
+    const requested = [];
+    const fetchBuffer = fetchSizes({ "init.mp4": 60, "segment-0.m4s": 30, "segment-1.m4s": 30 });
+
+    await assert.rejects(
+      downloadHlsVideo(PLAYLIST_URL, FMP4_PLAYLIST, {
+        fetchBuffer: (url) => {
+          requested.push(url);
+          return fetchBuffer(url);
+        },
+        maxBytes: 100,
+        concurrency: 1,
+      }),
+      { code: "MEDIA_TOO_LARGE" },
+    );
+    assert.equal(requested.length, 3);
+  });
+
+  test("fails before fetching segments when the init segment alone is over maxBytes", async () => {
+    const requested = [];
+    const fetchBuffer = fetchSizes({ "init.mp4": 120, "segment-0.m4s": 30, "segment-1.m4s": 30 });
+
+    await assert.rejects(
+      downloadHlsVideo(PLAYLIST_URL, FMP4_PLAYLIST, {
+        fetchBuffer: (url) => {
+          requested.push(url);
+          return fetchBuffer(url);
+        },
+        maxBytes: 100,
+      }),
+      { code: "MEDIA_TOO_LARGE" },
+    );
+    assert.deepEqual(requested, [new URL("init.mp4", PLAYLIST_URL).href]);
+  });
+});
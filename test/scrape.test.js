@@ -0,0 +1,30 @@
+import assert from "node:assert/strict";
+import { readdirSync, readFileSync } from "node:fs";
+import { afterEach, describe, test } from "node:test";
+import { setScrapeCacheStore } from "../lib/cache.js";
+import { scrapeLinkedInPost } from "../lib/linkedin.js";
+import { createReplayTransport } from "../lib/transport.js";
+import { setHttpTransport } from "../lib/utils.js";
+
+const FIXTURES_DIR = new URL("./fixtures/", import.meta.url);
+
+const fixtures = readdirSync(FIXTURES_DIR)
+  .filter((file) => file.endsWith(".json"))
+  .sort()
+  .map((file) => JSON.parse(readFileSync(new URL(file, FIXTURES_DIR), "utf8")));
+
+describe("scrapeLinkedInPost fixtures", () => {
+  afterEach(() => {
+    setHttpTransport(null);
+    setScrapeCacheStore(null);
+  });
+
+  for (const fixture of fixtures) {
+    test(fixture.name, async () => {
+      setHttpTransport(createReplayTransport(fixture.interactions));
+      const post = await scrapeLinkedInPost(fixture.url, fixture.options);
+
+      assert.deepEqual(JSON.parse(JSON.stringify(post)), fixture.expected);
+    });
+  }
+});
@@ -0,0 +1,92 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { isHtmlDocument, sniffMediaType } from "../lib/sniff.js";
+
+function isoFile(brand) {
+  const header = Buffer.alloc(32);
+  header.writeUInt32BE(32, 0);
+  header.write("ftyp", 4, "latin1");
+  header.write(brand, 8, "latin1");
+  return header;
+}
+
+function mpegTs(packets) {
+  const buffer = Buffer.alloc(188 * packets);
+  for (let packet = 0; packet < packets; packet += 1) {
+    buffer[packet * 188] = 0x47;
+  }
+  return buffer;
+}
+
+describe("sniffMediaType", () => {
+  const cases = [
+    ["JPEG", Buffer.from([0xff, 0xd8, 0xff, 0xe0]), "image/jpeg", "image"],
+    [
+      "PNG",
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      "image/png",
+      "image",
+    ],
+    ["GIF", Buffer.from("GIF89a", "latin1"), "image/gif", "image"],
+    ["WebP", Buffer.from("RIFF\0\0\0\0WEBP", "latin1"), "image/webp", "image"],
+    ["HEIC", isoFile("heic"), "image/heic", "document"],
+    ["MOV", isoFile("qt  "), "video/quicktime", "video"],
+    ["MP4 (isom)", isoFile("isom"), "video/mp4", "video"],
+    ["MP4 (mp42)", isoFile("mp42"), "video/mp4", "video"],
+    ["M4V", isoFile("M4V "), "video/mp4", "video"],
+    ["3GP", isoFile("3gp5"), "video/3gpp", "video"],
+    ["WebM", Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x01]), "video/webm", "video"],
+    ["MPEG-TS", mpegTs(3), "video/mp2t", "video"],
+    ["PDF", Buffer.from("%PDF-1.7", "latin1"), "application/pdf", "document"],
+  ];
+
+  for (const [name, buffer, mimeType, mediaType] of cases) {
+    test(`identifies ${name}`, () => {
+      assert.deepEqual(sniffMediaType(buffer), { mimeType, mediaType });
+    });
+  }
+
+  test("leaves other ISO brands unidentified", () => {
+    assert.equal(sniffMediaType(isoFile("avif")), null);
+    assert.equal(sniffMediaType(isoFile("M4A ")), null);
+  });
+
+  test("needs more than one sync byte for MPEG-TS", () => {
+    assert.equal(sniffMediaType(Buffer.from([0x47, 0x40, 0x00, 0x10])), null);
+  });
+
+  test("returns null for empty or unknown input", () => {
+    assert.equal(sniffMediaType(null), null);
+    assert.equal(sniffMediaType(Buffer.alloc(0)), null);
+    assert.equal(sniffMediaType(Buffer.from("plain text", "utf8")), null);
+  });
+});
+
+describe("isHtmlDocument", () => {
+  const pages = [
+    "<!DOCTYPE html><html><body>Sign in</body></html>",
+    "<html lang=\"en\"><head></head></html>",
+    "\uFEFF  \n<head><title>Error</title></head>",
+    "<body>Access denied</body>",
+    "<!-- cdn error --><p>Oops</p>",
+    "<?xml version=\"1.0\"?>\n<html xmlns=\"http://www.w3.org/1999/xhtml\"></html>",
+    "<meta charset=\"utf-8\"><title>LinkedIn</title>",
+    "<title>Sign Up | LinkedIn</title>",
+    "<script>window.location = '/login';</script>",
+    "<link rel=\"stylesheet\" href=\"/a.css\">",
+    "<style>body { margin: 0 }</style>",
+  ];
+
+  for (const page of pages) {
+    test(`detects ${JSON.stringify(page.trim().slice(0, 24))}`, () => {
+      assert.equal(isHtmlDocument(Buffer.from(page, "utf8")), true);
+    });
+  }
+
+  test("does not flag media or look-alike text", () => {
+    assert.equal(isHtmlDocument(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), false);
+    assert.equal(isHtmlDocument(Buffer.from("%PDF-1.7", "latin1")), false);
+    assert.equal(isHtmlDocument(Buffer.from("<metadata>not html</metadata>", "utf8")), false);
+    assert.equal(isHtmlDocument(Buffer.alloc(0)), false);
+  });
+});
@@ -0,0 +1,200 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, test } from "node:test";
+import { createGuardedLookup, isBlockedAddress } from "../lib/ssrf.js";
+import { createRecordingTransport } from "../lib/transport.js";
+import { fetchWithRedirectGuard, readResponseText, setHttpTransport } from "../lib/utils.js";
+
+describe("isBlockedAddress", () => {
+  const blocked = [
+    "0.0.0.0",
+    "10.1.2.3",
+    "100.64.0.1",
+    "127.0.0.1",
+    "169.254.169.254",
+    "172.16.5.4",
+    "192.168.1.1",
+    "198.18.0.1",
+    "224.0.0.1",
+    "255.255.255.255",
+    "::",
+    "::1",
+    "fc00::1",
+    "fd12:3456::1",
+    "fe80::1",
+    "fe80::1%eth0",
+    "ff02::1",
+    "2001:db8::1",
+    "::ffff:127.0.0.1",
+    "::ffff:7f00:1",
+    "::ffff:a9fe:a9fe",
+    "::127.0.0.1",
+    "::ffff:0:7f00:1",
+    "::ffff:0:10.0.0.1",
+    "64:ff9b::7f00:1",
+    "64:ff9b::169.254.169.254",
+    "64:ff9b:1::a9fe:a9fe",
+    "64:ff9b:1:fffe::8.8.8.8",
+    "2002:7f00:1::1",
+    "2002:a9fe:a9fe::",
+    "not-an-ip",
+  ];
+  const allowed = [
+    "8.8.8.8",
+    "13.107.42.14",
+    "2606:4700:4700::1111",
+    "2a01:111:f100::1",
+    "::ffff:8.8.8.8",
+    "::ffff:0:808:808",
+    "64:ff9b::808:808",
+    "2002:808:808::1",
+  ];
+
+  for (const address of blocked) {
+    test(`blocks ${address}`, () => {
+      assert.equal(isBlockedAddress(address), true);
+    });
+  }
+
+  for (const address of allowed) {
+    test(`allows ${address}`, () => {
+      assert.equal(isBlockedAddress(address), false);
+    });
+  }
+});
+
+describe("createGuardedLookup", () => {
+  function lookupWith(addresses) {
+    return createGuardedLookup((hostname, options, callback) => {
+      assert.equal(options.all, true);
+      callback(null, addresses);
+    });
+  }
+
+  function resolve(lookup, options = {}) {
+    return new Promise((resolvePromise) => {
+      lookup("media.licdn.com", options, (error, ...result) => {
+        resolvePromise({ error, result });
+      });
+    });
+  }
+
+  test("rejects an answer that mixes public and blocked addresses", async () => {
+    const lookup = lookupWith([
+      { address: "13.107.42.14", family: 4 },
+      { address: "169.254.169.254", family: 4 },
+    ]);
+    const { error } = await resolve(lookup);
+
+    assert.equal(error.code, "ERR_BLOCKED_ADDRESS");
+    assert.match(error.message, /169\.254\.169\.254/);
+  });
+
+  test("rejects an empty answer", async () => {
+    const { error } = await resolve(lookupWith([]));
+    assert.equal(error.code, "ERR_BLOCKED_ADDRESS");
+  });
+
+  test("returns the first public address, or all of them when asked", async () => {
+    const addresses = [
+      { address: "13.107.42.14", family: 4 },
+      { address: "2606:4700:4700::1111", family: 6 },
+    ];
+
+    const single = await resolve(lookupWith(addresses));
+    assert.equal(single.error, null);
+    assert.deepEqual(single.result, ["13.107.42.14", 4]);
+
+    const all = await resolve(lookupWith(addresses), { all: true });
+    assert.deepEqual(all.result, [addresses]);
+  });
+
+  test("passes resolver errors through", async () => {
+    const failure = Object.assign(new Error("not found"), { code: "ENOTFOUND" });
+    const lookup = createGuardedLookup((hostname, options, callback) => callback(failure));
+    const { error } = await resolve(lookup);
+
+    assert.equal(error, failure);
+  });
+});
+
+describe("fetchWithRedirectGuard", () => {
+  afterEach(() => {
+    setHttpTransport(null);
+  });
+
+  const anyHost = () => true;
+
+  test("rejects a blocked IP literal before fetching", async () => {
+    const requested = [];
+    setHttpTransport(async (url) => {
+      requested.push(url);
+      return new Response("ok");
+    });
+
+    for (const url of ["https://127.0.0.1/", "https://[::ffff:7f00:1]/", "https://[fe80::1]/"]) {
+      await assert.rejects(fetchWithRedirectGuard(url, { allowedHosts: anyHost }), {
+        code: "INVALID_URL",
+      });
+    }
+    assert.deepEqual(requested, []);
+  });
+
+  test("rejects a redirect to a blocked IP literal", async () => {
+    setHttpTransport(async () =>
+      new Response(null, { status: 302, headers: { location: "https://169.254.169.254/" } }),
+    );
+
+    await assert.rejects(
+      fetchWithRedirectGuard("https://lnkd.in/abc", { allowedHosts: anyHost }),
+      { code: "BLOCKED_REDIRECT" },
+    );
+  });
+
+  test("fetches a public IP literal", async () => {
+    setHttpTransport(async () => new Response("ok"));
+
+    const response = await fetchWithRedirectGuard("https://13.107.42.14/", {
+      allowedHosts: anyHost,
+    });
+    assert.equal(await response.text(), "ok");
+  });
+});
+
+describe("createRecordingTransport", () => {
+  test("checks resolved addresses when recording live responses", async () => {
+    const { transport, interactions } = createRecordingTransport();
+
+    await assert.rejects(transport("https://localhost:8443/"), (error) => {
+      assert.equal(error.cause?.code, "ERR_BLOCKED_ADDRESS");
+      return true;
+    });
+    assert.deepEqual(interactions, []);
+  });
+});
+
+describe("readResponseText", () => {
+  test("reads a body within the cap", async () => {
+    assert.equal(await readResponseText(new Response("<html></html>"), 64), "<html></html>");
+  });
+
+  test("rejects a declared length over the cap", async () => {
+    const response = new Response("x".repeat(100), { headers: { "content-length": "100" } });
+    await assert.rejects(readResponseText(response, 64), { code: "UPSTREAM_ERROR" });
+  });
+
+  test("stops reading a streamed body once it passes the cap", async () => {
+    let pulls = 0;
+    const body = new ReadableStream({
+      pull(controller) {
+        pulls += 1;
+        controller.enqueue(new Uint8Array(32));
+        if (pulls === 100) {
+          controller.close();
+        }
+      },
+    });
+
+    await assert.rejects(readResponseText(new Response(body), 64), { code: "UPSTREAM_ERROR" });
+    assert.ok(pulls < 100);
+  });
+});
@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import { setTimeout as delay } from "node:timers/promises";
+import { describe, test } from "node:test";
+import { singleFlight } from "../lib/utils.js";
+
+describe("singleFlight", () => {
+  test("concurrent callers share one run and its result", async () => {
+    let runs = 0;
+    const task = async () => {
+      runs += 1;
+      await delay(20);
+      return { runs };
+    };
+
+    const [first, second] = await Promise.all([
+      singleFlight("shared-result", task),
+      singleFlight("shared-result", task),
+    ]);
+
+    assert.equal(runs, 1);
+    assert.equal(first, second);
+  });
+
+  test("concurrent callers share the error of the run", async () => {
+    let runs = 0;
+    const task = async () => {
+      runs += 1;
+      await delay(20);
+      throw new Error("upstream failed");
+    };
+
+    const results = await Promise.allSettled([
+      singleFlight("shared-error", task),
+      singleFlight("shared-error", task),
+    ]);
+
+    assert.equal(runs, 1);
+    for (const result of results) {
+      assert.equal(result.status, "rejected");
+      assert.equal(result.reason.message, "upstream failed");
+    }
+  });
+
+  test("a synchronous throw is shared like a rejection", async () => {
+    await assert.rejects(
+      singleFlight("sync-throw", () => {
+        throw new Error("bad input");
+      }),
+      { message: "bad input" },
+    );
+  });
+
+  test("each caller keeps its own timeout while the run continues", async () => {
+    let runs = 0;
+    const task = async () => {
+      runs += 1;
+      await delay(60);
+      return "done";
+    };
+
+    const impatient = singleFlight("per-caller-timeout", task, { timeoutMs: 10 });
+    const patient = singleFlight("per-caller-timeout", task, { timeoutMs: 1_000 });
+
+    await assert.rejects(impatient, { code: "TIMEOUT" });
+    assert.equal(await patient, "done");
+    assert.equal(runs, 1);
+  });
+
+  test("a settled key starts a new run", async () => {
+    let runs = 0;
+    const task = async () => {
+      runs += 1;
+      return runs;
+    };
+
+    assert.equal(await singleFlight("settled", task), 1);
+    assert.equal(await singleFlight("settled", task), 2);
+  });
+});